@@ -4,42 +4,43 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
 const routes = require('./routes');
+const { JSON_BODY_LIMIT, TRUST_PROXY, DEDUP } = require('./config');
+const { startSessionSweeper } = require('./uploadSessions');
+const { startTrashSweeper } = require('./trash');
+const { startBlobSweeper } = require('./blobs');
+const { startExpirySweeper } = require('./expiry');
+const { webhookMiddleware } = require('./webhooks');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Use the forwarded client IP when running behind a reverse proxy
+app.set('trust proxy', TRUST_PROXY);
+
 // Ensure public directory exists
 fs.ensureDirSync(path.join(__dirname, '..', 'public'));
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // For JSON body parsing with large payloads
+app.use(express.json({ limit: JSON_BODY_LIMIT })); // For JSON body parsing with large base64 payloads
 
-// Static file serving for public files
-// This is isolated and simple - no directory listing
-app.use('/public', (req, res, next) => {
-  // Only allow access to files through the /public/:folder/:filename route
-  // This prevents directory listing and direct access to files
-  if (req.path.split('/').length <= 2) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'Not found'
-    });
-  }
-  next();
-}, express.static(path.join(__dirname, '..', 'public'), {
-  dotfiles: 'deny',
-  index: false,
-  maxAge: '1d',
-  redirect: false
-}));
+// Notify webhook subscribers of successful file actions
+app.use(webhookMiddleware);
 
 // API routes
 app.use('/', routes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors from body parsing, such as malformed JSON or oversized bodies
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      status: 'error',
+      message: err.message
+    });
+  }
+  
   console.error('Unhandled error:', err);
   res.status(500).json({
     status: 'error',
@@ -61,4 +62,12 @@ app.listen(PORT, () => {
   console.log(`Public URL: ${process.env.PUBLIC_URL}`);
 });
 
+// Clean up abandoned upload sessions, expired files, expired trash and unused blobs in the background
+startSessionSweeper();
+startExpirySweeper();
+startTrashSweeper();
+if (DEDUP) {
+  startBlobSweeper();
+}
+
 module.exports = app;
@@ -0,0 +1,115 @@
+const archiver = require('archiver');
+const { HttpError } = require('./errors');
+const { globToRegExp } = require('./pathUtils');
+
+// Supported archive formats
+const ARCHIVE_FORMATS = {
+  zip: { extension: 'zip', contentType: 'application/zip' },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip' }
+};
+
+/**
+ * Looks up an archive format by name
+ *
+ * @param {string} [name] - 'zip' (default) or 'tar.gz'
+ * @returns {Object} Format with name, extension and contentType
+ * @throws {HttpError} 400 for an unknown format
+ */
+function archiveFormat(name = 'zip') {
+  // Own properties only, so names like "constructor" are not mistaken for a format
+  if (!Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, name)) {
+    throw new HttpError(400, `format must be one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+  }
+
+  return { name, ...ARCHIVE_FORMATS[name] };
+}
+
+/**
+ * Picks the files to put in an archive
+ *
+ * @param {Object[]} entries - File entries from listEntries; names are relative to the archived folder
+ * @param {Object} [selection]
+ * @param {string|string[]} [selection.files] - Names to include, as an array or a comma-separated string
+ * @param {string} [selection.pattern] - Glob the names must match, e.g. "*.pdf" or "final/**"
+ * @returns {Object[]} Selected entries
+ * @throws {HttpError} 404 if a listed file does not exist or nothing is selected
+ */
+function selectArchiveEntries(entries, { files, pattern } = {}) {
+  let selected = entries;
+
+  if (files) {
+    const names = (Array.isArray(files) ? files : String(files).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    const missing = names.filter(name => !byName.has(name));
+
+    if (missing.length > 0) {
+      throw new HttpError(404, `File not found: ${missing.join(', ')}`);
+    }
+
+    selected = [...new Set(names)].map(name => byName.get(name));
+  }
+
+  if (pattern) {
+    const regex = globToRegExp(String(pattern));
+    selected = selected.filter(entry => regex.test(entry.name));
+  }
+
+  if (selected.length === 0) {
+    throw new HttpError(404, 'No files to archive');
+  }
+
+  return selected;
+}
+
+/**
+ * Streams an archive of files to a response
+ * Files are read one at a time as the archive is written, so nothing is buffered in memory;
+ * an error after the headers were sent can only abort the response
+ *
+ * @param {Object} res - Express response, with headers already set
+ * @param {Object[]} entries - File entries to archive, named by their path inside the archive
+ * @param {Object} format - Result of archiveFormat
+ * @returns {Promise<void>} Resolves once the archive has been written
+ */
+function streamArchive(res, entries, format) {
+  const archive = format.name === 'zip'
+    ? archiver('zip', { zlib: { level: 6 } })
+    : archiver('tar', { gzip: true, gzipOptions: { level: 6 } });
+
+  return new Promise((resolve) => {
+    archive.on('warning', (error) => {
+      console.error('Archive warning:', error);
+    });
+
+    archive.on('error', (error) => {
+      console.error('Archive error:', error);
+      res.destroy(error);
+      resolve();
+    });
+
+    // Stop reading files when the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        archive.abort();
+      }
+      resolve();
+    });
+
+    archive.pipe(res);
+
+    for (const entry of entries) {
+      archive.file(entry.filePath, { name: entry.name });
+    }
+
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  archiveFormat,
+  selectArchiveEntries,
+  streamArchive
+};
@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { AUDIT_LOG_FILE } = require('./config');
+
+/**
+ * Appends an entry to the audit log
+ * The log is append-only JSON lines; a failure to write is reported but never fails the request
+ *
+ * @param {Object|null} req - Express request that passed authMiddleware, or null for actions the service takes itself
+ * @param {Object} entry
+ * @param {string} entry.action - Action name as returned by the API, e.g. 'file_uploaded'
+ * @param {string} entry.folder - Folder the action applied to
+ * @param {string|null} [entry.file] - File the action applied to, if any
+ * @param {number|null} [entry.size] - Size in bytes of the file involved, if known
+ * @param {Object} [entry.details] - Extra action-specific fields, e.g. the previous name on rename
+ */
+async function recordAudit(req, { action, folder, file = null, size = null, details = undefined }) {
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    action,
+    folder,
+    file,
+    size,
+    ip: req ? req.ip : null,
+    token: req && req.token ? req.token.name : null,
+    ...(details ? { details } : {})
+  });
+
+  try {
+    await fs.ensureDir(path.dirname(AUDIT_LOG_FILE));
+    await fs.appendFile(AUDIT_LOG_FILE, `${line}\n`);
+  } catch (error) {
+    console.error('Audit log write error:', error);
+  }
+}
+
+/**
+ * Reads audit entries matching the given filters, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.folder] - Only entries for this folder or folders nested below it
+ * @param {string} [filters.action] - Only entries with this action
+ * @param {Date} [filters.from] - Only entries at or after this time
+ * @param {Date} [filters.to] - Only entries at or before this time
+ * @param {Function} [filters.canSee] - Predicate on an entry, for token scoping
+ * @param {number} [filters.limit] - Maximum number of entries to return
+ * @returns {Promise<Object[]>} Matching entries, newest first
+ */
+async function queryAudit({ folder, action, from, to, canSee = () => true, limit = 100 } = {}) {
+  if (!await fs.pathExists(AUDIT_LOG_FILE)) {
+    return [];
+  }
+
+  const matches = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(AUDIT_LOG_FILE),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Skip a line torn by a crash mid-write
+      continue;
+    }
+
+    const timestamp = new Date(entry.timestamp);
+
+    if (folder && entry.folder !== folder && !String(entry.folder).startsWith(`${folder}/`)) continue;
+    if (action && entry.action !== action) continue;
+    if (from && timestamp < from) continue;
+    if (to && timestamp > to) continue;
+    if (!canSee(entry)) continue;
+
+    // Keep only the newest `limit` matches while streaming through the file
+    matches.push(entry);
+    if (matches.length > limit) {
+      matches.shift();
+    }
+  }
+
+  return matches.reverse();
+}
+
+module.exports = {
+  recordAudit,
+  queryAudit
+};
@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./config');
+
+// Content-addressed store of deduplicated files, one hard link per distinct content at <aa>/<sha256>
+const BLOBS_DIR = path.join(DATA_DIR, 'blobs');
+
+// Link failures that only mean a file cannot be deduplicated, e.g. DATA_DIR on another filesystem
+const UNLINKABLE_CODES = ['EXDEV', 'EPERM', 'EEXIST', 'ENOENT', 'EMLINK'];
+
+/**
+ * Returns the path of the blob holding some content
+ *
+ * @param {string} sha256 - Lowercase hex SHA-256 of the content
+ * @returns {string} Blob path
+ */
+function blobPath(sha256) {
+  return path.join(BLOBS_DIR, sha256.slice(0, 2), sha256);
+}
+
+/**
+ * Makes a freshly stored file share its disk space with earlier files of identical content
+ * If the content is already known, the file is replaced by a hard link to the existing blob;
+ * otherwise the file itself becomes the blob. Deduplicated files share an inode, and with it
+ * their modification time and ETag. Files are only ever replaced, never modified in place,
+ * so sharing an inode is safe
+ *
+ * @param {string} filePath - Path of the stored file
+ * @param {string} sha256 - Lowercase hex SHA-256 of the file
+ * @returns {Promise<boolean>} True if the file now shares its contents with a blob
+ */
+async function deduplicate(filePath, sha256) {
+  const existingPath = blobPath(sha256);
+
+  try {
+    const [blob, file] = await Promise.all([fs.stat(existingPath).catch(() => null), fs.stat(filePath)]);
+
+    if (blob && blob.ino === file.ino) {
+      return true;
+    }
+
+    if (!blob) {
+      await fs.ensureDir(path.dirname(existingPath));
+      await fs.link(filePath, existingPath);
+      return true;
+    }
+
+    if (blob.size !== file.size) {
+      return false;
+    }
+
+    // Link next to the file and rename over it, so the path never goes missing
+    const tempPath = path.join(path.dirname(filePath), `.dedup-${crypto.randomBytes(8).toString('hex')}.tmp`);
+    try {
+      await fs.link(existingPath, tempPath);
+      await fs.rename(tempPath, filePath);
+    } finally {
+      await fs.remove(tempPath);
+    }
+    return true;
+  } catch (error) {
+    if (!UNLINKABLE_CODES.includes(error.code)) {
+      throw error;
+    }
+    return false;
+  }
+}
+
+/**
+ * Removes blobs that no stored file, prior version or trashed item links to any more
+ *
+ * @returns {Promise<number>} Number of blobs removed
+ */
+async function sweepUnusedBlobs() {
+  if (!await fs.pathExists(BLOBS_DIR)) {
+    return 0;
+  }
+
+  let removed = 0;
+
+  for (const prefix of await fs.readdir(BLOBS_DIR)) {
+    const prefixDir = path.join(BLOBS_DIR, prefix);
+
+    for (const name of await fs.readdir(prefixDir)) {
+      const stats = await fs.stat(path.join(prefixDir, name));
+      if (stats.isFile() && stats.nlink === 1) {
+        await fs.remove(path.join(prefixDir, name));
+        removed++;
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Periodically removes unused blobs
+ * The timer does not keep the process alive on its own
+ */
+function startBlobSweeper() {
+  const timer = setInterval(async () => {
+    try {
+      const removed = await sweepUnusedBlobs();
+      if (removed > 0) {
+        console.log(`Removed ${removed} unused blob(s)`);
+      }
+    } catch (error) {
+      console.error('Blob sweep error:', error);
+    }
+  }, 60 * 60 * 1000);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  deduplicate,
+  sweepUnusedBlobs,
+  startBlobSweeper
+};
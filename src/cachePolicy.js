@@ -0,0 +1,65 @@
+const { globToRegExp, matchesFolder, createConfigLoader } = require('./pathUtils');
+const {
+  CACHE_RULES_FILE,
+  CACHE_CONTROL_PUBLIC,
+  CACHE_CONTROL_PRIVATE
+} = require('./config');
+
+/**
+ * Validates and normalises one entry of the cache rules file
+ *
+ * @param {Object} entry - Raw rule entry
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Rule with compiled folder patterns and Cache-Control values
+ * @throws {Error} If the entry is malformed
+ */
+function parseRule(entry, index) {
+  if (!entry || !Array.isArray(entry.folders) || entry.folders.length === 0) {
+    throw new Error(`Cache rule #${index + 1} needs a non-empty folders list`);
+  }
+
+  for (const key of ['public', 'private']) {
+    if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+      throw new Error(`Cache rule #${index + 1} has a non-string "${key}" value`);
+    }
+  }
+
+  return {
+    folderPatterns: entry.folders.map(globToRegExp),
+    public: entry.public,
+    private: entry.private
+  };
+}
+
+/**
+ * Returns the configured cache rules, reloading the rules file if it changed on disk
+ *
+ * @returns {Promise<Object[]>} Parsed rules, in file order
+ */
+const loadCacheRules = createConfigLoader(CACHE_RULES_FILE, 'rules', parseRule, 'cache rule');
+
+/**
+ * Picks the Cache-Control header for a file served from a folder
+ * The first rule with a pattern matching the folder or one of its ancestors wins
+ *
+ * @param {string} folder - Validated folder path of the file
+ * @param {string} audience - 'public' for public URLs, 'private' for authenticated and signed downloads
+ * @returns {Promise<string>} Cache-Control header value
+ */
+async function cacheControlFor(folder, audience) {
+  const rules = await loadCacheRules();
+  const rule = rules.find(candidate =>
+    candidate[audience] !== undefined && matchesFolder(candidate.folderPatterns, folder)
+  );
+
+  if (rule) {
+    return rule[audience];
+  }
+
+  return audience === 'public' ? CACHE_CONTROL_PUBLIC : CACHE_CONTROL_PRIVATE;
+}
+
+module.exports = {
+  loadCacheRules,
+  cacheControlFor
+};
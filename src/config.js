@@ -0,0 +1,164 @@
+const path = require('path');
+
+/**
+ * Service configuration read from environment variables
+ * Numeric values fall back to their defaults when unset or invalid
+ */
+
+/**
+ * Parses a positive integer environment variable
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} The parsed value
+ */
+function intFromEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+// Largest string V8 can hold is just over 512 MiB, which bounds what a JSON body can carry
+const MAX_JSON_BODY_BYTES = 500 * 1024 * 1024;
+
+// Maximum size of a single uploaded file, in bytes
+const UPLOAD_MAX_BYTES = intFromEnv('UPLOAD_MAX_BYTES', 512 * 1024 * 1024);
+
+// JSON bodies carry base64, which is 4/3 the size of the decoded file
+const JSON_BODY_LIMIT = intFromEnv(
+  'JSON_BODY_LIMIT',
+  Math.min(Math.ceil(UPLOAD_MAX_BYTES * 4 / 3) + 1024 * 1024, MAX_JSON_BODY_BYTES)
+);
+
+// Directory for service state such as upload sessions, kept outside the public and private roots
+const DATA_DIR = process.env.DATA_DIR || 'data';
+
+// Deleted items, kept for TRASH_RETENTION, and upload sessions in progress; each trashed item is a
+// JSON descriptor plus a directory holding its public and private copies, each session a JSON
+// descriptor plus a .part file holding the bytes received so far
+const TRASH_DIR = path.join(DATA_DIR, 'trash');
+const SESSIONS_DIR = path.join(DATA_DIR, 'uploads');
+
+// Append-only JSON-lines log of file operations
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.log');
+
+// Express "trust proxy" setting, so the audit log records client IPs behind a reverse proxy
+// Accepts "true", a hop count, or a comma-separated list of trusted addresses
+const TRUST_PROXY = (() => {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+})();
+
+// JSON file defining scoped API tokens, reloaded whenever it changes
+const TOKENS_FILE = process.env.TOKENS_FILE || 'config/tokens.json';
+
+// JSON file defining per-folder Cache-Control rules, reloaded whenever it changes
+const CACHE_RULES_FILE = process.env.CACHE_RULES_FILE || 'config/cache-rules.json';
+
+// Cache-Control for files without a matching rule: public URLs, and authenticated or signed downloads
+const CACHE_CONTROL_PUBLIC = process.env.CACHE_CONTROL_PUBLIC || 'public, max-age=86400';
+const CACHE_CONTROL_PRIVATE = process.env.CACHE_CONTROL_PRIVATE || 'private, no-cache';
+
+// Seconds an upload session may sit idle before it is cleaned up
+const UPLOAD_SESSION_TTL = intFromEnv('UPLOAD_SESSION_TTL', 24 * 60 * 60);
+
+// Prior versions kept for each overwritten file; 0 disables versioning
+const VERSIONS_MAX = process.env.VERSIONS_MAX === '0' ? 0 : intFromEnv('VERSIONS_MAX', 10);
+
+// Seconds a deleted file or folder stays in the trash before it is purged
+const TRASH_RETENTION = intFromEnv('TRASH_RETENTION', 30 * 24 * 60 * 60);
+
+// Also compute MD5 for every upload; SHA-256 is always computed
+const HASH_MD5 = process.env.HASH_MD5 === 'true';
+
+// Store identical uploads once on disk, as hard links to a content-addressed blob under DATA_DIR
+const DEDUP = process.env.DEDUP === 'true';
+
+// Serve exposed folders as archives at /public-archive/:folder without authentication
+const PUBLIC_ARCHIVES = process.env.PUBLIC_ARCHIVES === 'true';
+
+// Limits on archives unpacked by /extract: number of entries, total expanded bytes,
+// and how many times larger than the archive its contents may be
+const EXTRACT_MAX_ENTRIES = intFromEnv('EXTRACT_MAX_ENTRIES', 10000);
+const EXTRACT_MAX_BYTES = intFromEnv('EXTRACT_MAX_BYTES', 2 * 1024 * 1024 * 1024);
+const EXTRACT_MAX_RATIO = intFromEnv('EXTRACT_MAX_RATIO', 100);
+
+// Seconds a download by /fetch may take, and whether it may reach private, loopback and link-local
+// addresses, e.g. to fetch from services on the same network
+const FETCH_TIMEOUT = intFromEnv('FETCH_TIMEOUT', 60);
+const FETCH_ALLOW_PRIVATE = process.env.FETCH_ALLOW_PRIVATE === 'true';
+
+// Webhook deliveries: attempts per event, seconds before the first retry (doubled for each one after),
+// and whether receivers may be on private, loopback and link-local addresses
+const WEBHOOK_MAX_ATTEMPTS = intFromEnv('WEBHOOK_MAX_ATTEMPTS', 5);
+const WEBHOOK_RETRY_DELAY = intFromEnv('WEBHOOK_RETRY_DELAY', 10);
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Storage quotas for the whole store: total bytes and number of files; unlimited when unset
+const QUOTA_MAX_BYTES = intFromEnv('QUOTA_MAX_BYTES', null);
+const QUOTA_MAX_FILES = intFromEnv('QUOTA_MAX_FILES', null);
+
+// JSON file defining per-folder storage quotas, reloaded whenever it changes
+const QUOTAS_FILE = process.env.QUOTAS_FILE || 'config/quotas.json';
+
+// JSON file defining per-folder retention rules, reloaded whenever it changes
+const RETENTION_FILE = process.env.RETENTION_FILE || 'config/retention.json';
+
+// Seconds between sweeps for expired files and folders
+const EXPIRY_SWEEP_INTERVAL = intFromEnv('EXPIRY_SWEEP_INTERVAL', 300);
+
+// Image transformations on /public: largest output width or height, largest source image in pixels,
+// transformations run at once, and transformed variants cached per source file
+const IMAGE_MAX_DIMENSION = intFromEnv('IMAGE_MAX_DIMENSION', 4096);
+const IMAGE_MAX_INPUT_PIXELS = intFromEnv('IMAGE_MAX_INPUT_PIXELS', 50 * 1000 * 1000);
+const IMAGE_MAX_CONCURRENCY = intFromEnv('IMAGE_MAX_CONCURRENCY', 2);
+const IMAGE_CACHE_VARIANTS = intFromEnv('IMAGE_CACHE_VARIANTS', 20);
+
+// Most operations a single POST /batch may contain
+const BATCH_MAX_OPERATIONS = intFromEnv('BATCH_MAX_OPERATIONS', 100);
+
+// Signed URL lifetimes, in seconds
+const SIGNED_URL_DEFAULT_TTL = intFromEnv('SIGNED_URL_DEFAULT_TTL', 300);
+const SIGNED_URL_MAX_TTL = intFromEnv('SIGNED_URL_MAX_TTL', 86400);
+
+module.exports = {
+  intFromEnv,
+  UPLOAD_MAX_BYTES,
+  JSON_BODY_LIMIT,
+  DATA_DIR,
+  TRASH_DIR,
+  SESSIONS_DIR,
+  AUDIT_LOG_FILE,
+  TRUST_PROXY,
+  TOKENS_FILE,
+  CACHE_RULES_FILE,
+  CACHE_CONTROL_PUBLIC,
+  CACHE_CONTROL_PRIVATE,
+  UPLOAD_SESSION_TTL,
+  TRASH_RETENTION,
+  VERSIONS_MAX,
+  HASH_MD5,
+  DEDUP,
+  PUBLIC_ARCHIVES,
+  EXTRACT_MAX_ENTRIES,
+  EXTRACT_MAX_BYTES,
+  EXTRACT_MAX_RATIO,
+  FETCH_TIMEOUT,
+  FETCH_ALLOW_PRIVATE,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_ALLOW_PRIVATE,
+  QUOTA_MAX_BYTES,
+  QUOTA_MAX_FILES,
+  QUOTAS_FILE,
+  RETENTION_FILE,
+  EXPIRY_SWEEP_INTERVAL,
+  IMAGE_MAX_DIMENSION,
+  IMAGE_MAX_INPUT_PIXELS,
+  IMAGE_MAX_CONCURRENCY,
+  IMAGE_CACHE_VARIANTS,
+  BATCH_MAX_OPERATIONS,
+  SIGNED_URL_DEFAULT_TTL,
+  SIGNED_URL_MAX_TTL
+};
@@ -0,0 +1,19 @@
+/**
+ * Error carrying the HTTP status code a route should respond with
+ * Thrown from helpers so routes can map failures other than validation (400) to the right status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code to respond with
+   * @param {string} message - Error message returned to the client
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  HttpError
+};
@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const { globToRegExp, rootPath, folderAncestors, matchesFolder, createConfigLoader } = require('./pathUtils');
+const { findFile, withFolderLock } = require('./storage');
+const { readMeta, readFolderMeta } = require('./metadata');
+const { trashItem } = require('./trash');
+const { recordAudit } = require('./audit');
+const { RETENTION_FILE, EXPIRY_SWEEP_INTERVAL } = require('./config');
+
+/**
+ * Expiry of files and folders
+ * A file expires at the earliest of its own expiresAt, the expiresAt of a folder containing it, and
+ * its upload time plus the maxAge of the retention rule for its folder. Expired files are no longer
+ * served, and the sweeper moves them to the trash
+ */
+
+// Set while a sweep runs, so a slow sweep is not overlapped by the next one
+let sweeping = false;
+
+/**
+ * Validates and normalises one entry of the retention rules file
+ *
+ * @param {Object} entry - Raw rule entry
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Rule with compiled folder patterns and maxAge in seconds
+ * @throws {Error} If the entry is malformed
+ */
+function parseRule(entry, index) {
+  if (!entry || !Array.isArray(entry.folders) || entry.folders.length === 0) {
+    throw new Error(`Retention rule #${index + 1} needs a non-empty folders list`);
+  }
+
+  if (!Number.isInteger(entry.maxAge) || entry.maxAge <= 0) {
+    throw new Error(`Retention rule #${index + 1} needs a maxAge in seconds`);
+  }
+
+  return {
+    folderPatterns: entry.folders.map(globToRegExp),
+    maxAge: entry.maxAge
+  };
+}
+
+/**
+ * Returns the configured retention rules, reloading the rules file if it changed on disk
+ *
+ * @returns {Promise<Object[]>} Parsed rules, in file order
+ */
+const loadRetentionRules = createConfigLoader(RETENTION_FILE, 'rules', parseRule, 'retention rule');
+
+/**
+ * Picks the retention period for files in a folder
+ * The first rule with a pattern matching the folder or one of its ancestors wins
+ *
+ * @param {string} folder - Validated folder path
+ * @returns {Promise<number|null>} Maximum age in seconds, or null if files are kept indefinitely
+ */
+async function retentionFor(folder) {
+  const rules = await loadRetentionRules();
+  const rule = rules.find(candidate => matchesFolder(candidate.folderPatterns, folder));
+
+  return rule ? rule.maxAge : null;
+}
+
+/**
+ * Works out when a file expires from its own expiry and its folder's retention period
+ * Files without a recorded upload time, e.g. ones placed on disk directly, age from their modification time
+ *
+ * @param {Object} meta - The file's metadata document
+ * @param {number|null} maxAge - Retention period of the file's folder, from retentionFor
+ * @param {string} filePath - Path of the file on disk
+ * @returns {Promise<Object|null>} Object with at (milliseconds since the epoch) and reason
+ *   ('expiresAt' or 'retention'), or null if the file does not expire
+ */
+async function fileExpiry(meta, maxAge, filePath) {
+  const candidates = [];
+
+  if (meta.expiresAt) {
+    candidates.push({ at: Date.parse(meta.expiresAt), reason: 'expiresAt' });
+  }
+
+  if (maxAge !== null) {
+    const uploadedAt = meta.uploadedAt ? Date.parse(meta.uploadedAt) : (await fs.stat(filePath)).mtimeMs;
+    candidates.push({ at: uploadedAt + maxAge * 1000, reason: 'retention' });
+  }
+
+  return candidates.reduce((earliest, candidate) => (!earliest || candidate.at < earliest.at ? candidate : earliest), null);
+}
+
+/**
+ * Tells whether a file has expired, through its own expiry, its folder's retention period,
+ * or the expiry of the folder or one of its ancestors
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {string} filePath - Path of the file on disk
+ * @returns {Promise<boolean>} True if the file has expired and is waiting to be swept
+ */
+async function isExpired(folder, filename, filePath) {
+  const now = Date.now();
+
+  for (const ancestor of folderAncestors(folder)) {
+    const { expiresAt } = await readFolderMeta(ancestor);
+    if (expiresAt && Date.parse(expiresAt) <= now) {
+      return true;
+    }
+  }
+
+  const expiry = await fileExpiry(await readMeta(folder, filename), await retentionFor(folder), filePath);
+  return Boolean(expiry) && expiry.at <= now;
+}
+
+/**
+ * Lists the files and subfolders directly inside a folder, across both roots
+ * Dot-prefixed names, such as uploads in progress, are left out
+ *
+ * @param {string} folder - Folder path, or '' for the top level
+ * @returns {Promise<Object>} Object with files and folders, each a Set of names
+ */
+async function readFolder(folder) {
+  const files = new Set();
+  const folders = new Set();
+
+  for (const baseDir of ['public', 'private']) {
+    let entries;
+    try {
+      entries = await fs.readdir(folder ? rootPath(baseDir, folder) : baseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        continue;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        folders.add(entry.name);
+      } else if (entry.isFile()) {
+        files.add(entry.name);
+      }
+    }
+  }
+
+  return { files, folders };
+}
+
+/**
+ * Moves a folder to the trash if it has expired
+ *
+ * @param {string} folder - Folder path
+ * @param {number} now - Time of the sweep, in milliseconds since the epoch
+ * @returns {Promise<boolean>} True if the folder was trashed
+ */
+async function sweepFolderExpiry(folder, now) {
+  const { expiresAt } = await readFolderMeta(folder);
+  if (!expiresAt || Date.parse(expiresAt) > now) {
+    return false;
+  }
+
+  const item = await trashItem({ folder });
+  if (item) {
+    console.log(`Expired folder ${folder} (expiresAt ${expiresAt}), moved to trash as ${item.id}`);
+    await recordAudit(null, { action: 'folder_expired', folder, details: { trashId: item.id, reason: 'expiresAt' } });
+  }
+  return true;
+}
+
+/**
+ * Moves a file to the trash if it has expired
+ * The check and the move happen under the folder lock, so a file uploaded over an expired one is kept
+ *
+ * @param {string} folder - Folder path
+ * @param {string} filename - Filename
+ * @param {number|null} maxAge - Retention period of the folder
+ * @param {number} now - Time of the sweep, in milliseconds since the epoch
+ * @returns {Promise<boolean>} True if the file was trashed
+ */
+async function sweepFileExpiry(folder, filename, maxAge, now) {
+  return withFolderLock(folder, async () => {
+    const found = await findFile(folder, filename);
+    if (!found) {
+      return false;
+    }
+
+    const expiry = await fileExpiry(await readMeta(folder, filename), maxAge, found.filePath);
+    if (!expiry || expiry.at > now) {
+      return false;
+    }
+
+    const item = await trashItem({ folder, filename });
+    if (!item) {
+      return false;
+    }
+
+    console.log(`Expired ${folder}/${filename} (${expiry.reason}), moved to trash as ${item.id}`);
+    await recordAudit(null, {
+      action: 'file_expired',
+      folder,
+      file: filename,
+      size: item.size,
+      details: { trashId: item.id, reason: expiry.reason }
+    });
+    return true;
+  });
+}
+
+/**
+ * Moves every expired file and folder to the trash, where TRASH_RETENTION applies as for deletions
+ * Each removal is logged and recorded in the audit log; a failure is reported and the sweep goes on
+ *
+ * @param {string} [folder] - Folder to sweep, '' (default) for everything
+ * @param {number} [now] - Time of the sweep, in milliseconds since the epoch
+ * @returns {Promise<Object>} Object with the number of files and folders removed
+ */
+async function sweepExpired(folder = '', now = Date.now()) {
+  const removed = { files: 0, folders: 0 };
+
+  if (folder) {
+    try {
+      if (await sweepFolderExpiry(folder, now)) {
+        removed.folders++;
+        return removed;
+      }
+    } catch (error) {
+      console.error(`Failed to expire folder ${folder}:`, error);
+    }
+  }
+
+  const { files, folders } = await readFolder(folder);
+
+  // Files are only stored inside folders
+  if (folder && files.size > 0) {
+    const maxAge = await retentionFor(folder);
+
+    for (const filename of files) {
+      try {
+        if (await sweepFileExpiry(folder, filename, maxAge, now)) {
+          removed.files++;
+        }
+      } catch (error) {
+        console.error(`Failed to expire ${folder}/${filename}:`, error);
+      }
+    }
+  }
+
+  for (const name of folders) {
+    const nested = await sweepExpired(folder ? `${folder}/${name}` : name, now);
+    removed.files += nested.files;
+    removed.folders += nested.folders;
+  }
+
+  return removed;
+}
+
+/**
+ * Periodically sweeps expired files and folders
+ * The timer does not keep the process alive on its own
+ */
+function startExpirySweeper() {
+  const timer = setInterval(async () => {
+    if (sweeping) {
+      return;
+    }
+
+    sweeping = true;
+    try {
+      const { files, folders } = await sweepExpired();
+      if (files > 0 || folders > 0) {
+        console.log(`Expired ${files} file(s) and ${folders} folder(s)`);
+      }
+    } catch (error) {
+      console.error('Expiry sweep error:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, EXPIRY_SWEEP_INTERVAL * 1000);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  loadRetentionRules,
+  retentionFor,
+  isExpired,
+  sweepExpired,
+  startExpirySweeper
+};
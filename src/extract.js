@@ -0,0 +1,336 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const { HttpError } = require('./errors');
+const { validatePath } = require('./pathUtils');
+const { archiveFormat } = require('./archive');
+const { pipeToFile, resolveWriteTarget, quotaChange, commitFile } = require('./storage');
+const { createHashers, finishHashers } = require('./integrity');
+const { checkQuota } = require('./quotas');
+const {
+  DATA_DIR,
+  UPLOAD_MAX_BYTES,
+  EXTRACT_MAX_ENTRIES,
+  EXTRACT_MAX_BYTES,
+  EXTRACT_MAX_RATIO
+} = require('./config');
+
+/**
+ * Unpacking of uploaded ZIP and tar.gz archives into a folder
+ * The archive is received and unpacked into a private working directory under DATA_DIR first;
+ * nothing is stored until every entry has been checked, so a rejected archive leaves no files behind
+ */
+
+// Working directories of extractions in progress, one per request
+const EXTRACT_DIR = path.join(DATA_DIR, 'extract');
+
+// Expanded size below which the compression ratio is not checked, since tiny archives of text compress very well
+const RATIO_FLOOR_BYTES = 1024 * 1024;
+
+// Entries added by archivers that are skipped rather than rejected
+const IGNORED_DIRS = ['__MACOSX'];
+const IGNORED_FILES = ['.DS_Store', 'Thumbs.db'];
+
+// File type bits of a Unix mode, as stored in ZIP external attributes
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Works out an archive's format from its first bytes
+ *
+ * @param {string} archivePath - Received archive
+ * @returns {Promise<string>} 'zip' or 'tar.gz'
+ * @throws {HttpError} 415 if the file is neither
+ */
+async function detectFormat(archivePath) {
+  const handle = await fs.open(archivePath, 'r');
+  const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(4), 0, 4, 0).finally(() => fs.close(handle));
+  const magic = buffer.subarray(0, bytesRead);
+
+  // Local file header, or the end of central directory record of an empty ZIP
+  if (magic.equals(Buffer.from('PK\x03\x04')) || magic.equals(Buffer.from('PK\x05\x06'))) {
+    return 'zip';
+  }
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    return 'tar.gz';
+  }
+
+  throw new HttpError(415, 'Unsupported archive: send a ZIP or tar.gz file');
+}
+
+/**
+ * Maps a ZIP entry to its type, from its name and Unix mode
+ *
+ * @param {Object} entry - yauzl entry
+ * @returns {string} 'file', 'directory', 'symlink' or 'other'
+ */
+function zipEntryType(entry) {
+  const fileType = (entry.externalFileAttributes >>> 16) & S_IFMT;
+
+  if (fileType === S_IFLNK) return 'symlink';
+  if (entry.fileName.endsWith('/') || fileType === S_IFDIR) return 'directory';
+  if (fileType === 0 || fileType === S_IFREG) return 'file';
+  return 'other';
+}
+
+/**
+ * Maps a tar header type to an entry type
+ *
+ * @param {string} type - tar-stream header type
+ * @returns {string} 'file', 'directory', 'metadata', 'symlink' or 'other'
+ */
+function tarEntryType(type) {
+  if (type === 'file' || type === 'contiguous-file') return 'file';
+  if (type === 'directory') return 'directory';
+  // Global pax headers, e.g. the commit id written by git archive
+  if (type === 'pax-global-header') return 'metadata';
+  if (type === 'symlink' || type === 'link') return 'symlink';
+  return 'other';
+}
+
+/**
+ * Turns an error from an archive parser into a 400, leaving file system failures alone
+ *
+ * @param {Error} error - Error raised while reading the archive
+ * @param {string} label - 'ZIP' or 'tar.gz', for the message
+ * @returns {Error} The error to throw
+ */
+function archiveError(error, label) {
+  if (error instanceof HttpError || error.syscall) {
+    return error;
+  }
+  return new HttpError(400, `Invalid ${label} archive: ${error.message}`);
+}
+
+/**
+ * Calls a function for every entry of a ZIP file, one at a time
+ * yauzl itself rejects absolute names and ".." segments, and checks each entry's size and checksum as it is read
+ *
+ * @param {string} archivePath - ZIP file to read
+ * @param {Function} onEntry - Async callback receiving { name, type, size, open }, where open returns a stream of the contents
+ */
+async function readZipEntries(archivePath, onEntry) {
+  let zip;
+  try {
+    zip = await new Promise((resolve, reject) => {
+      yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, opened) => (error ? reject(error) : resolve(opened)));
+    });
+  } catch (error) {
+    throw archiveError(error, 'ZIP');
+  }
+
+  try {
+    // Refuse entry-count bombs from the central directory, before reading any entry
+    if (zip.entryCount > EXTRACT_MAX_ENTRIES) {
+      throw new HttpError(413, `Archive has more than ${EXTRACT_MAX_ENTRIES} entries`);
+    }
+
+    await new Promise((resolve, reject) => {
+      zip.on('error', reject);
+      zip.on('end', resolve);
+      zip.on('entry', (entry) => {
+        if (entry.isEncrypted()) {
+          return reject(new HttpError(400, `Encrypted archive entries are not supported: ${entry.fileName}`));
+        }
+
+        const open = () => new Promise((resolveStream, rejectStream) => {
+          zip.openReadStream(entry, (error, stream) => (error ? rejectStream(error) : resolveStream(stream)));
+        });
+
+        onEntry({ name: entry.fileName, type: zipEntryType(entry), size: entry.uncompressedSize, open })
+          .then(() => zip.readEntry(), reject);
+      });
+      zip.readEntry();
+    });
+  } catch (error) {
+    throw archiveError(error, 'ZIP');
+  } finally {
+    zip.close();
+  }
+}
+
+/**
+ * Calls a function for every entry of a tar.gz file, one at a time, while decompressing it
+ *
+ * @param {string} archivePath - tar.gz file to read
+ * @param {Function} onEntry - Async callback receiving { name, type, size, open }, where open returns a stream of the contents
+ */
+async function readTarEntries(archivePath, onEntry) {
+  const extract = tar.extract();
+  const reading = pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), extract);
+
+  // Failures surface through the loop below; this only keeps an early exit from going unhandled
+  reading.catch(() => {});
+
+  try {
+    for await (const entry of extract) {
+      const { name, type, size } = entry.header;
+      await onEntry({ name, type: tarEntryType(type), size, open: async () => entry });
+      entry.resume();
+    }
+    await reading;
+  } catch (error) {
+    throw archiveError(error, 'tar.gz');
+  }
+}
+
+/**
+ * Maps an archive entry name to the folder and filename it is extracted to
+ *
+ * @param {string} folder - The validated target folder
+ * @param {string} name - Entry name inside the archive without any leading "./", e.g. "docs/2026/report.pdf"
+ * @returns {Object|null} Validated folder and filename, or null for entries that are skipped
+ * @throws {HttpError} 400 if the name could escape the target folder or breaks the naming rules
+ */
+function entryTarget(folder, name) {
+  const segments = name.split('/');
+
+  if (name.includes('\\') || name.includes('\0') || path.posix.isAbsolute(name)
+    || /^[a-zA-Z]:/.test(name) || segments.includes('..')) {
+    throw new HttpError(400, `Unsafe path in archive: ${name}`);
+  }
+
+  const filename = segments.pop();
+  if (IGNORED_DIRS.includes(segments[0]) || IGNORED_FILES.includes(filename)) {
+    return null;
+  }
+
+  try {
+    return validatePath([folder, ...segments].join('/'), filename);
+  } catch (error) {
+    throw new HttpError(400, `Invalid path in archive "${name}": ${error.message}`);
+  }
+}
+
+/**
+ * Unpacks an uploaded ZIP or tar.gz archive into a folder
+ * Every entry is checked before any file is stored: names must stay inside the folder and follow
+ * the usual naming rules, links and special files are refused, and the number of entries, their
+ * expanded size and the compression ratio are limited. Directory entries only create folders
+ * implicitly, through the files inside them. Files are then stored one at a time like uploads,
+ * with the same conflict handling
+ *
+ * @param {Readable} source - Stream of the archive
+ * @param {string} folder - The validated target folder
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'zip' or 'tar.gz'; detected from the contents when omitted
+ * @param {boolean} [options.expose] - Store the files in the public root instead of the private one
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename', applied to each file
+ * @param {Function} [options.metaFor] - Returns the metadata document for a file, given its name in the archive
+ * @returns {Promise<Object>} Object with format, files ({ name, folder, stored }) and skipped entry names
+ * @throws {HttpError} 400 for an invalid or unsafe archive, 409 on a conflict in 'fail' mode,
+ *   413 if a limit is exceeded, 415 for an unknown format, 507 if the files would exceed a storage quota
+ */
+async function extractArchive(source, folder, { format = null, expose = false, onConflict, metaFor = () => null } = {}) {
+  const workDir = path.join(EXTRACT_DIR, crypto.randomBytes(8).toString('hex'));
+  const archivePath = path.join(workDir, 'archive');
+
+  try {
+    await fs.ensureDir(workDir);
+    const archiveSize = await pipeToFile(source, archivePath, { maxBytes: UPLOAD_MAX_BYTES });
+    const resolvedFormat = format ? archiveFormat(format).name : await detectFormat(archivePath);
+
+    const files = [];
+    const skipped = [];
+    const targets = new Set();
+    let entryCount = 0;
+    let totalBytes = 0;
+
+    const onEntry = async ({ name: rawName, type, size, open }) => {
+      // tar lists entries as "./name" when created from the current directory
+      const name = rawName.replace(/^(\.\/)+/, '');
+
+      entryCount++;
+      if (entryCount > EXTRACT_MAX_ENTRIES) {
+        throw new HttpError(413, `Archive has more than ${EXTRACT_MAX_ENTRIES} entries`);
+      }
+
+      if (type === 'symlink') {
+        throw new HttpError(400, `Links are not allowed in archives: ${name}`);
+      }
+      if (type === 'other') {
+        throw new HttpError(400, `Only files and folders are allowed in archives: ${name}`);
+      }
+      if (type === 'directory' || type === 'metadata') {
+        return;
+      }
+
+      const target = entryTarget(folder, name);
+      if (!target) {
+        skipped.push(name);
+        return;
+      }
+
+      const key = `${target.folder}/${target.filename}`;
+      if (targets.has(key)) {
+        throw new HttpError(400, `Archive contains "${name}" more than once`);
+      }
+      targets.add(key);
+
+      if (size > UPLOAD_MAX_BYTES) {
+        throw new HttpError(413, `"${name}" exceeds maximum file size of ${UPLOAD_MAX_BYTES} bytes`);
+      }
+
+      // Sizes are checked as declared; the parsers guarantee each entry is exactly that long
+      totalBytes += size;
+      if (totalBytes > EXTRACT_MAX_BYTES) {
+        throw new HttpError(413, `Archive expands to more than ${EXTRACT_MAX_BYTES} bytes`);
+      }
+      if (totalBytes > Math.max(archiveSize * EXTRACT_MAX_RATIO, RATIO_FLOOR_BYTES)) {
+        throw new HttpError(413, `Archive expands to more than ${EXTRACT_MAX_RATIO} times its size`);
+      }
+
+      // Staged files are numbered, so entry names never touch the file system before they are stored
+      const stagedPath = path.join(workDir, String(files.length));
+      const hashers = createHashers();
+      await pipeToFile(await open(), stagedPath, { maxBytes: size, hashers });
+
+      files.push({ name, ...target, size, stagedPath, digests: finishHashers(hashers) });
+    };
+
+    if (resolvedFormat === 'zip') {
+      await readZipEntries(archivePath, onEntry);
+    } else {
+      await readTarEntries(archivePath, onEntry);
+    }
+
+    if (files.length === 0) {
+      throw new HttpError(400, 'Archive contains no files');
+    }
+
+    // Report conflicts and exhausted quotas before storing anything; both are checked again as each file is committed
+    const change = { bytes: 0, files: 0 };
+    for (const file of files) {
+      const targetName = await resolveWriteTarget(file.folder, file.filename, { onConflict });
+      const { bytes, files: added } = await quotaChange(file.folder, targetName, file.size);
+      change.bytes += bytes;
+      change.files += added;
+    }
+    await checkQuota(folder, change);
+
+    const extracted = [];
+    for (const file of files) {
+      const stored = await commitFile(file.folder, file.filename, file.stagedPath, {
+        expose,
+        digests: file.digests,
+        meta: metaFor(file.name),
+        onConflict
+      });
+      extracted.push({ name: file.name, folder: file.folder, stored });
+    }
+
+    return { format: resolvedFormat, files: extracted, skipped };
+  } finally {
+    await fs.remove(workDir);
+  }
+}
+
+module.exports = {
+  extractArchive
+};
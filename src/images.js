@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+const { sidecarPath, removeSidecar } = require('./sidecars');
+const {
+  IMAGE_MAX_DIMENSION,
+  IMAGE_MAX_INPUT_PIXELS,
+  IMAGE_MAX_CONCURRENCY,
+  IMAGE_CACHE_VARIANTS
+} = require('./config');
+
+/**
+ * On-the-fly resizing and format conversion of public images
+ * Variants are cached under DATA_DIR/images, next to the other per-file state, keyed by the
+ * source's ETag and the transformation; the cache is cleared whenever the source is replaced,
+ * renamed or deleted, and a stale entry could never match a new ETag anyway
+ */
+
+// Output formats and their Content-Type; "jpg" is accepted as another name for jpeg
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// How a resized image fills the requested box, as defined by sharp
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Transformations waiting for a free slot before further requests are turned away
+const MAX_QUEUED_TRANSFORMS = 50;
+
+// Decoded images are not kept in memory between requests; variants are cached on disk instead
+sharp.cache(false);
+
+// Transformations running, those waiting for a slot, and renders in progress by cache path
+let activeTransforms = 0;
+const waitingTransforms = [];
+const rendering = new Map();
+
+/**
+ * Parses the transformation requested in a query string
+ *
+ * @param {Object} query - Request query with optional width, height, fit, format and quality
+ * @returns {Object|null} Object with width, height, fit, format and quality (null when not given),
+ *   or null if no transformation was requested
+ * @throws {HttpError} 400 if a parameter is malformed or out of bounds
+ */
+function parseTransform(query) {
+  const { width, height, fit, format, quality } = query;
+
+  if ([width, height, fit, format, quality].every(value => value === undefined)) {
+    return null;
+  }
+
+  const whole = (name, value, max) => {
+    if (value === undefined) {
+      return null;
+    }
+    const number = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+    if (!(number >= 1 && number <= max)) {
+      throw new HttpError(400, `${name} must be a whole number between 1 and ${max}`);
+    }
+    return number;
+  };
+
+  const transform = {
+    width: whole('width', width, IMAGE_MAX_DIMENSION),
+    height: whole('height', height, IMAGE_MAX_DIMENSION),
+    fit: fit === undefined ? 'cover' : fit,
+    format: format === 'jpg' ? 'jpeg' : (format === undefined ? null : format),
+    quality: whole('quality', quality, 100)
+  };
+
+  if (!FIT_MODES.includes(transform.fit)) {
+    throw new HttpError(400, `fit must be one of: ${FIT_MODES.join(', ')}`);
+  }
+  if (transform.format !== null && !Object.prototype.hasOwnProperty.call(IMAGE_FORMATS, transform.format)) {
+    throw new HttpError(400, `format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+
+  return transform;
+}
+
+/**
+ * Runs a transformation once one of the IMAGE_MAX_CONCURRENCY slots is free
+ *
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ * @throws {HttpError} 503 if too many transformations are already waiting
+ */
+async function withTransformSlot(fn) {
+  if (activeTransforms < IMAGE_MAX_CONCURRENCY) {
+    activeTransforms++;
+  } else {
+    if (waitingTransforms.length >= MAX_QUEUED_TRANSFORMS) {
+      throw new HttpError(503, 'Too many image transformations in progress, try again later');
+    }
+    // The slot is handed over by the transformation that finishes, so the count stays the same
+    await new Promise((resolve) => { waitingTransforms.push(resolve); });
+  }
+
+  try {
+    return await fn();
+  } finally {
+    const next = waitingTransforms.shift();
+    if (next) {
+      next();
+    } else {
+      activeTransforms--;
+    }
+  }
+}
+
+/**
+ * Removes the oldest cached variants of a file beyond IMAGE_CACHE_VARIANTS
+ *
+ * @param {string} cacheDir - Directory holding the file's variants
+ */
+async function pruneVariants(cacheDir) {
+  const names = (await fs.readdir(cacheDir)).filter(name => !name.startsWith('.'));
+  if (names.length <= IMAGE_CACHE_VARIANTS) {
+    return;
+  }
+
+  const variants = await Promise.all(names.map(async name => ({
+    name,
+    mtimeMs: (await fs.stat(path.join(cacheDir, name)).catch(() => ({ mtimeMs: 0 }))).mtimeMs
+  })));
+  variants.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  for (const { name } of variants.slice(0, variants.length - IMAGE_CACHE_VARIANTS)) {
+    await fs.remove(path.join(cacheDir, name));
+  }
+}
+
+/**
+ * Renders a variant of an image into the cache
+ * Written to a temporary file and renamed into place, so readers never see a partial image
+ *
+ * @param {string} sourcePath - Path of the source image
+ * @param {string} cachePath - Path to write the variant to
+ * @param {Object} transform - Result of parseTransform, with the output format filled in
+ */
+async function renderVariant(sourcePath, cachePath, { width, height, fit, format, quality }) {
+  const tempPath = path.join(path.dirname(cachePath), `.render-${crypto.randomBytes(8).toString('hex')}.tmp`);
+
+  await fs.ensureDir(path.dirname(cachePath));
+  try {
+    // Orientation is applied from the EXIF data, so resized photos are not sideways
+    let image = sharp(sourcePath, { limitInputPixels: IMAGE_MAX_INPUT_PIXELS }).rotate();
+    if (width || height) {
+      image = image.resize({ width: width || undefined, height: height || undefined, fit, withoutEnlargement: true });
+    }
+    // PNG is lossless, so quality only applies to JPEG and WebP
+    await image.toFormat(format, quality && format !== 'png' ? { quality } : {}).toFile(tempPath);
+    await fs.move(tempPath, cachePath, { overwrite: true });
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+/**
+ * Returns a transformed variant of an image, from the cache or rendered now
+ * Without a format, the output keeps the source's format when it is JPEG, PNG or WebP and is PNG otherwise.
+ * Images are never enlarged beyond their own size
+ *
+ * @param {string} sourcePath - Path of the source image
+ * @param {string} folder - The validated folder of the image
+ * @param {string} filename - The validated filename of the image
+ * @param {string} etag - ETag of the source image, from fileETag
+ * @param {Object} transform - Result of parseTransform
+ * @returns {Promise<Object>} Object with path, contentType and etag of the variant
+ * @throws {HttpError} 415 if the file is not an image, 422 if it has more than IMAGE_MAX_INPUT_PIXELS pixels,
+ *   503 if too many transformations are waiting
+ */
+async function transformImage(sourcePath, folder, filename, etag, transform) {
+  let info;
+  try {
+    info = await sharp(sourcePath).metadata();
+  } catch (error) {
+    throw new HttpError(415, 'File is not an image that can be transformed');
+  }
+
+  if (info.width * info.height > IMAGE_MAX_INPUT_PIXELS) {
+    throw new HttpError(422, `Image is too large to transform (more than ${IMAGE_MAX_INPUT_PIXELS} pixels)`);
+  }
+
+  const format = transform.format || (Object.prototype.hasOwnProperty.call(IMAGE_FORMATS, info.format) ? info.format : 'png');
+  const resolved = { ...transform, format };
+  const key = crypto.createHash('sha256').update(JSON.stringify({ etag, ...resolved })).digest('hex').slice(0, 32);
+  const cacheDir = sidecarPath('images', folder, filename);
+  const cachePath = path.join(cacheDir, `${key}.${format}`);
+
+  if (!await fs.pathExists(cachePath)) {
+    // Concurrent requests for the same variant share one rendering
+    if (!rendering.has(cachePath)) {
+      const render = withTransformSlot(async () => {
+        try {
+          await renderVariant(sourcePath, cachePath, resolved);
+        } catch (error) {
+          if (error instanceof HttpError || error.code) {
+            throw error;
+          }
+          throw new HttpError(415, `Image could not be transformed: ${error.message}`);
+        }
+        await pruneVariants(cacheDir);
+      }).finally(() => rendering.delete(cachePath));
+      rendering.set(cachePath, render);
+    }
+    await rendering.get(cachePath);
+  }
+
+  return {
+    path: cachePath,
+    contentType: IMAGE_FORMATS[format],
+    etag: `"${etag.replace(/"/g, '')}-${key.slice(0, 8)}"`
+  };
+}
+
+/**
+ * Removes the cached variants of a file, or of every file in a folder
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ */
+async function removeImageCache(folder, filename = null) {
+  await removeSidecar('images', folder, filename);
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  FIT_MODES,
+  parseTransform,
+  transformImage,
+  removeImageCache
+};
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+const { HASH_MD5 } = require('./config');
+
+// Digest lengths in bytes
+const DIGEST_BYTES = { sha256: 32, md5: 16 };
+
+// Names used in error messages
+const DIGEST_LABELS = { sha256: 'SHA-256', md5: 'MD5' };
+
+/**
+ * Normalises a digest given as hex or base64 to lowercase hex
+ *
+ * @param {string} value - Digest as sent by the client
+ * @param {string} algorithm - 'sha256' or 'md5'
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {string} Lowercase hex digest
+ * @throws {HttpError} 400 if the value is not a digest of the right length
+ */
+function normaliseDigest(value, algorithm, source) {
+  const bytes = DIGEST_BYTES[algorithm];
+  const text = String(value).trim();
+
+  if (new RegExp(`^[a-fA-F0-9]{${bytes * 2}}$`).test(text)) {
+    return text.toLowerCase();
+  }
+
+  if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) {
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length === bytes) {
+      return decoded.toString('hex');
+    }
+  }
+
+  throw new HttpError(400, `${source} must be a hex or base64 ${DIGEST_LABELS[algorithm]} digest`);
+}
+
+/**
+ * Extracts the SHA-256 digest from a Content-Digest header (RFC 9530), e.g. "sha-256=:base64:"
+ * Other algorithms in the header are ignored
+ *
+ * @param {string} header - Content-Digest header value
+ * @returns {string|null} Lowercase hex digest, or null if the header carries no SHA-256
+ * @throws {HttpError} 400 if the SHA-256 member is malformed
+ */
+function parseContentDigest(header) {
+  for (const member of header.split(',')) {
+    const match = /^\s*sha-256\s*=\s*:([^:]*):\s*$/i.exec(member);
+    if (match) {
+      return normaliseDigest(match[1], 'sha256', 'Content-Digest');
+    }
+    if (/^\s*sha-256\s*=/i.test(member)) {
+      throw new HttpError(400, 'Content-Digest sha-256 value must be enclosed in colons');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collects the digests a client expects an upload to have
+ *
+ * @param {Object} sources - Raw values; each may be undefined
+ * @param {string} [sources.sha256] - X-Checksum-SHA256 header or sha256 field, hex or base64
+ * @param {string} [sources.md5] - Content-MD5 header or md5 field, hex or base64
+ * @param {string} [sources.contentDigest] - Content-Digest header of a body that is the file itself
+ * @returns {Object} Object with sha256 and md5 as lowercase hex, each null when not given
+ * @throws {HttpError} 400 if a value is malformed or two SHA-256 values disagree
+ */
+function expectedDigests({ sha256, md5, contentDigest } = {}) {
+  const expected = {
+    sha256: sha256 ? normaliseDigest(sha256, 'sha256', 'Expected SHA-256') : null,
+    md5: md5 ? normaliseDigest(md5, 'md5', 'Expected MD5') : null
+  };
+
+  if (contentDigest) {
+    const fromHeader = parseContentDigest(contentDigest);
+    if (fromHeader && expected.sha256 && fromHeader !== expected.sha256) {
+      throw new HttpError(400, 'Content-Digest and the expected SHA-256 disagree');
+    }
+    expected.sha256 = expected.sha256 || fromHeader;
+  }
+
+  return expected;
+}
+
+/**
+ * Creates the hashes to compute for an upload
+ * SHA-256 is always computed; MD5 when HASH_MD5 is enabled or the client expects one
+ *
+ * @param {Object} [expected] - Result of expectedDigests
+ * @returns {Object} Map of algorithm name to crypto Hash
+ */
+function createHashers(expected = {}) {
+  const hashers = { sha256: crypto.createHash('sha256') };
+
+  if (HASH_MD5 || expected.md5) {
+    hashers.md5 = crypto.createHash('md5');
+  }
+
+  return hashers;
+}
+
+/**
+ * Finishes the hashes created by createHashers
+ *
+ * @param {Object} hashers - Map of algorithm name to crypto Hash
+ * @returns {Object} Object with sha256 and md5 as lowercase hex, md5 null when not computed
+ */
+function finishHashers(hashers) {
+  return {
+    sha256: hashers.sha256.digest('hex'),
+    md5: hashers.md5 ? hashers.md5.digest('hex') : null
+  };
+}
+
+/**
+ * Computes the digests of a file on disk
+ *
+ * @param {string} filePath - File to read
+ * @param {Object} [expected] - Result of expectedDigests, deciding whether MD5 is needed
+ * @returns {Promise<Object>} Object with sha256 and md5 as lowercase hex
+ */
+async function hashFile(filePath, expected = {}) {
+  const hashers = createHashers(expected);
+
+  await pipeline(fs.createReadStream(filePath), async (chunks) => {
+    for await (const chunk of chunks) {
+      Object.values(hashers).forEach(hash => hash.update(chunk));
+    }
+  });
+
+  return finishHashers(hashers);
+}
+
+/**
+ * Checks computed digests against the ones the client expects
+ *
+ * @param {Object} actual - Computed digests
+ * @param {Object} expected - Result of expectedDigests
+ * @throws {HttpError} 422 if a digest does not match
+ */
+function verifyDigests(actual, expected) {
+  for (const algorithm of ['sha256', 'md5']) {
+    if (expected[algorithm] && expected[algorithm] !== actual[algorithm]) {
+      throw new HttpError(
+        422,
+        `${DIGEST_LABELS[algorithm]} mismatch: expected ${expected[algorithm]}, received ${actual[algorithm]}`
+      );
+    }
+  }
+}
+
+module.exports = {
+  expectedDigests,
+  createHashers,
+  finishHashers,
+  hashFile,
+  verifyDigests
+};
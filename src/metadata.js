@@ -0,0 +1,353 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { sidecarPath, moveSidecar, removeSidecar } = require('./sidecars');
+
+/**
+ * Per-file metadata, stored as one JSON document per file under DATA_DIR/meta
+ * Content hashes are recorded together with the ETag of the file they were computed for,
+ * so hashes of a file that was since replaced by other means are never reported
+ */
+
+// Limits on user-supplied metadata, keeping each document small enough to read on every listing
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+const MAX_CUSTOM_KEYS = 50;
+const MAX_CUSTOM_KEY_LENGTH = 64;
+const MAX_CUSTOM_BYTES = 8 * 1024;
+
+// Longest expiry accepted, so expiry dates stay well within what Date can represent
+const MAX_EXPIRY_SECONDS = 100 * 365 * 24 * 60 * 60;
+
+// A folder's own metadata, such as its expiry, sits inside its metadata directory under this name;
+// dot-prefixed names never collide with the "@" entries of files or with subfolders
+const FOLDER_META_NAME = '.folder.json';
+
+// type/subtype with optional parameters, e.g. "text/plain; charset=utf-8"
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*(\s*;\s*[a-z0-9!#$&^_.+-]+=("[^"]*"|[a-z0-9!#$&^_.+-]+))*$/i;
+
+/**
+ * Reads a file's metadata document
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @returns {Promise<Object>} The document, or an empty object if there is none
+ */
+async function readMeta(folder, filename) {
+  try {
+    return await fs.readJson(sidecarPath('meta', folder, filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read metadata of ${folder}/${filename}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Writes a metadata document to a temporary file and renames it into place, so readers never see half of it
+ *
+ * @param {string} metaPath - Path of the document
+ * @param {Object} meta - The complete document
+ */
+async function writeDocument(metaPath, meta) {
+  // Dot-prefixed names never collide with the "@" entries of files or with subfolders
+  const tempPath = path.join(path.dirname(metaPath), `.meta-${crypto.randomBytes(8).toString('hex')}.tmp`);
+
+  await fs.ensureDir(path.dirname(metaPath));
+  try {
+    await fs.writeJson(tempPath, meta);
+    await fs.move(tempPath, metaPath, { overwrite: true });
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+/**
+ * Replaces a file's metadata document
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {Object} meta - The complete document
+ */
+async function writeMeta(folder, filename, meta) {
+  await writeDocument(sidecarPath('meta', folder, filename), meta);
+}
+
+/**
+ * Merges changes into a file's metadata document
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {Object} changes - Top-level keys to set
+ * @returns {Promise<Object>} The updated document
+ */
+async function updateMeta(folder, filename, changes) {
+  const meta = { ...await readMeta(folder, filename), ...changes };
+  await writeMeta(folder, filename, meta);
+  return meta;
+}
+
+/**
+ * Returns the recorded content hashes of a file, if they still describe its current contents
+ *
+ * @param {Object} meta - The file's metadata document
+ * @param {string} etag - Current ETag of the file
+ * @returns {Object} Object with sha256 and md5, each null when unknown
+ */
+function hashesOf(meta, etag) {
+  const { hashes } = meta;
+
+  if (!hashes || hashes.etag !== etag) {
+    return { sha256: null, md5: null };
+  }
+
+  return { sha256: hashes.sha256 || null, md5: hashes.md5 || null };
+}
+
+/**
+ * Describes a file's metadata for API responses, leaving out internal bookkeeping
+ *
+ * @param {Object} meta - The file's metadata document
+ * @returns {Object} Object with mimetype, originalName, uploadedBy, uploadedAt, tags, custom and expiresAt
+ */
+function describeMeta(meta) {
+  return {
+    mimetype: meta.mimetype || null,
+    originalName: meta.originalName || null,
+    uploadedBy: meta.uploadedBy || null,
+    uploadedAt: meta.uploadedAt || null,
+    tags: meta.tags || [],
+    custom: meta.custom || {},
+    expiresAt: meta.expiresAt || null
+  };
+}
+
+/**
+ * Validates a client-supplied expiry, given either as a lifetime or as a point in time
+ *
+ * @param {Object} input
+ * @param {number|string} [input.expiresIn] - Seconds from now, as a number or a numeric string
+ * @param {string|null} [input.expiresAt] - Date the Date constructor accepts, e.g. ISO 8601; null clears the expiry
+ * @returns {string|null|undefined} Expiry as an ISO 8601 string, null to clear it, or undefined if neither was given
+ * @throws {HttpError} 400 if both are given, or a value is malformed or not in the future
+ */
+function parseExpiry({ expiresIn, expiresAt } = {}) {
+  if (expiresIn !== undefined && expiresAt !== undefined) {
+    throw new HttpError(400, 'Send either expiresIn or expiresAt, not both');
+  }
+
+  if (expiresIn !== undefined) {
+    const seconds = ['number', 'string'].includes(typeof expiresIn) && expiresIn !== '' ? Number(expiresIn) : NaN;
+    if (!Number.isInteger(seconds) || seconds <= 0 || seconds > MAX_EXPIRY_SECONDS) {
+      throw new HttpError(400, `expiresIn must be a whole number of seconds between 1 and ${MAX_EXPIRY_SECONDS}`);
+    }
+    return new Date(Date.now() + seconds * 1000).toISOString();
+  }
+
+  if (expiresAt === null || expiresAt === undefined) {
+    return expiresAt;
+  }
+
+  const date = new Date(expiresAt);
+  if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, 'expiresAt must be a date such as "2026-01-31T00:00:00Z"');
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new HttpError(400, 'expiresAt must be in the future');
+  }
+  if (date.getTime() > Date.now() + MAX_EXPIRY_SECONDS * 1000) {
+    throw new HttpError(400, `expiresAt must be at most ${MAX_EXPIRY_SECONDS} seconds from now`);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Validates user-supplied metadata from an upload or a metadata update
+ * Tags are trimmed and de-duplicated; undefined values are left out so they do not replace stored ones
+ *
+ * @param {Object} input
+ * @param {string} [input.mimetype] - MIME type to serve the file with; null clears it
+ * @param {string[]|string} [input.tags] - Tags, as an array or a comma-separated string
+ * @param {Object} [input.custom] - Key/value pairs with string, number, boolean or null values;
+ *   null marks a key for removal, see mergeCustom
+ * @param {number|string} [input.expiresIn] - Seconds until the file expires
+ * @param {string|null} [input.expiresAt] - When the file expires; null clears the expiry
+ * @returns {Object} The validated values that were given, with any expiry as expiresAt
+ * @throws {HttpError} 400 if a value is malformed or exceeds a limit
+ */
+function validateMeta({ mimetype, tags, custom, expiresIn, expiresAt } = {}) {
+  const result = {};
+
+  if (mimetype !== undefined) {
+    if (mimetype !== null && (typeof mimetype !== 'string' || mimetype.length > 255 || !MIME_TYPE_PATTERN.test(mimetype))) {
+      throw new HttpError(400, 'mimetype must be a MIME type such as "image/jpeg"');
+    }
+    result.mimetype = mimetype;
+  }
+
+  if (tags !== undefined) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+      throw new HttpError(400, 'tags must be an array of strings');
+    }
+
+    result.tags = [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+
+    if (result.tags.length > MAX_TAGS) {
+      throw new HttpError(400, `A file can have at most ${MAX_TAGS} tags`);
+    }
+    if (result.tags.some(tag => tag.length > MAX_TAG_LENGTH || tag.includes(','))) {
+      throw new HttpError(400, `Tags must be at most ${MAX_TAG_LENGTH} characters and cannot contain commas`);
+    }
+  }
+
+  if (custom !== undefined) {
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+      throw new HttpError(400, 'custom must be an object of key/value pairs');
+    }
+
+    const keys = Object.keys(custom);
+
+    if (keys.length > MAX_CUSTOM_KEYS) {
+      throw new HttpError(400, `custom can have at most ${MAX_CUSTOM_KEYS} keys`);
+    }
+    if (keys.some(key => !key || key.length > MAX_CUSTOM_KEY_LENGTH)) {
+      throw new HttpError(400, `custom keys must be 1 to ${MAX_CUSTOM_KEY_LENGTH} characters`);
+    }
+    if (Object.values(custom).some(value => value !== null && !['string', 'number', 'boolean'].includes(typeof value))) {
+      throw new HttpError(400, 'custom values must be strings, numbers, booleans or null');
+    }
+    if (Buffer.byteLength(JSON.stringify(custom)) > MAX_CUSTOM_BYTES) {
+      throw new HttpError(400, `custom must be at most ${MAX_CUSTOM_BYTES} bytes as JSON`);
+    }
+
+    result.custom = custom;
+  }
+
+  const expiry = parseExpiry({ expiresIn, expiresAt });
+  if (expiry !== undefined) {
+    result.expiresAt = expiry;
+  }
+
+  return result;
+}
+
+/**
+ * Applies custom key/value changes to a file's stored custom fields
+ * Keys set to null are removed
+ *
+ * @param {Object} current - Stored custom fields
+ * @param {Object} changes - Validated changes
+ * @returns {Object} The merged fields
+ * @throws {HttpError} 400 if the merged fields exceed a limit
+ */
+function mergeCustom(current, changes) {
+  const merged = { ...current, ...changes };
+
+  for (const key of Object.keys(merged)) {
+    if (merged[key] === null) {
+      delete merged[key];
+    }
+  }
+
+  return validateMeta({ custom: merged }).custom;
+}
+
+/**
+ * Moves the metadata of a file or folder to a new path, e.g. after a rename
+ *
+ * @param {string} fromFolder - The validated current folder name
+ * @param {string|null} fromFilename - The validated current filename, or null for a whole folder
+ * @param {string} toFolder - The validated new folder name
+ * @param {string|null} toFilename - The validated new filename, or null for a whole folder
+ */
+async function moveMeta(fromFolder, fromFilename, toFolder, toFilename) {
+  await moveSidecar('meta', fromFolder, fromFilename, toFolder, toFilename);
+}
+
+/**
+ * Removes the metadata of a file, or of a folder and everything below it
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ */
+async function removeMeta(folder, filename = null) {
+  await removeSidecar('meta', folder, filename);
+}
+
+/**
+ * Reads a folder's own metadata document
+ *
+ * @param {string} folder - The validated folder name
+ * @returns {Promise<Object>} The document, e.g. { expiresAt }, or an empty object if there is none
+ */
+async function readFolderMeta(folder) {
+  try {
+    return await fs.readJson(path.join(sidecarPath('meta', folder), FOLDER_META_NAME));
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+      console.error(`Failed to read metadata of folder ${folder}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Replaces a folder's own metadata document
+ * Moves and removals of the folder's metadata, e.g. on rename, carry the document with them
+ *
+ * @param {string} folder - The validated folder name
+ * @param {Object} meta - The complete document
+ */
+async function writeFolderMeta(folder, meta) {
+  await writeDocument(path.join(sidecarPath('meta', folder), FOLDER_META_NAME), meta);
+}
+
+/**
+ * Removes the own metadata documents of a folder and of every folder below it, leaving file metadata alone
+ * Used when a folder is deleted, so a folder later created at the same path starts afresh
+ *
+ * @param {string} folder - The validated folder name
+ */
+async function removeFolderMeta(folder) {
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name === FOLDER_META_NAME) {
+        await fs.remove(path.join(dir, entry.name));
+      } else if (entry.isDirectory()) {
+        await walk(path.join(dir, entry.name));
+      }
+    }
+  };
+
+  await walk(sidecarPath('meta', folder));
+}
+
+module.exports = {
+  readMeta,
+  writeMeta,
+  updateMeta,
+  hashesOf,
+  describeMeta,
+  parseExpiry,
+  validateMeta,
+  mergeCustom,
+  moveMeta,
+  removeMeta,
+  readFolderMeta,
+  writeFolderMeta,
+  removeFolderMeta
+};
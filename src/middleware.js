@@ -1,8 +1,12 @@
+const { findToken, tokenAllows } = require('./tokens');
+const { HttpError } = require('./errors');
+
 /**
  * Authentication middleware
  * Validates the bearer token in the Authorization header
+ * Attaches the matching token to the request as req.token ({ name, actions, folders })
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -12,18 +16,49 @@ function authMiddleware(req, res, next) {
     });
   }
   
-  const token = authHeader.split(' ')[1];
+  const secret = authHeader.split(' ')[1];
+  
+  let token;
+  try {
+    token = secret ? await findToken(secret) : null;
+  } catch (error) {
+    return next(error);
+  }
   
-  if (token !== process.env.API_TOKEN) {
+  if (!token) {
     return res.status(401).json({
       status: 'error',
       message: 'Invalid token'
     });
   }
   
+  req.token = {
+    name: token.name,
+    actions: token.actions,
+    folders: token.folders,
+    unscoped: token.unscoped,
+    allows: (action, folder) => tokenAllows(token, action, folder)
+  };
+  
   next();
 }
 
+/**
+ * Checks that the request's token may perform an action, optionally on a specific folder
+ *
+ * @param {Object} req - Express request that passed authMiddleware
+ * @param {string} action - upload, list, delete, rename or expose
+ * @param {string} [folder] - Validated folder path
+ * @throws {HttpError} 403 if the token's scope does not cover the request
+ */
+function authorize(req, action, folder = null) {
+  if (!req.token.allows(action, folder)) {
+    const scope = folder ? ` in folder "${folder}"` : '';
+    throw new HttpError(403, `Token "${req.token.name}" is not allowed to ${action}${scope}`);
+  }
+}
+
 module.exports = {
-  authMiddleware
+  authMiddleware,
+  authorize
 };
@@ -0,0 +1,79 @@
+const busboy = require('busboy');
+const { HttpError } = require('./errors');
+
+/**
+ * Parses a multipart/form-data request, handing each file part to a callback as a stream
+ * File parts are processed one at a time and in order; a field is only visible to file
+ * parts that come after it in the body, so clients must send fields before files
+ *
+ * @param {Object} req - Express request
+ * @param {Function} onFile - Async callback receiving { fields, filename, mimeType, stream }
+ *   for each file part; its return value is collected into the results array
+ * @returns {Promise<Object>} Object with all fields and the callback results
+ * @throws {HttpError} If the body is malformed or a callback fails
+ */
+function receiveMultipart(req, onFile) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers });
+    } catch (error) {
+      return reject(new HttpError(400, error.message));
+    }
+
+    const fields = {};
+    const results = [];
+    let queue = Promise.resolve();
+    let failure = null;
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      // Skip file inputs that were left empty and parts arriving after a failure
+      if (failure || !info.filename) {
+        stream.resume();
+        return;
+      }
+
+      const partFields = { ...fields };
+
+      queue = queue.then(async () => {
+        if (failure) {
+          stream.resume();
+          return;
+        }
+
+        try {
+          results.push(await onFile({
+            fields: partFields,
+            filename: info.filename,
+            mimeType: info.mimeType,
+            stream
+          }));
+        } catch (error) {
+          failure = error;
+          stream.resume();
+        }
+      });
+    });
+
+    parser.on('close', () => {
+      queue.then(() => (failure ? reject(failure) : resolve({ fields, results })));
+    });
+
+    parser.on('error', (error) => {
+      failure = failure || new HttpError(400, `Malformed multipart body: ${error.message}`);
+      req.unpipe(parser);
+      req.resume();
+      queue.then(() => reject(failure));
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  receiveMultipart
+};
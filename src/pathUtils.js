@@ -1,17 +1,28 @@
+const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { DATA_DIR } = require('./config');
+
+// Strict pattern for folder segments - alphanumeric, underscore, hyphen only
+const SAFE_SEGMENT = /^[a-zA-Z0-9_-]+$/;
+
+// Deepest folder nesting accepted, e.g. client-a/2026/invoices is three levels
+const MAX_FOLDER_DEPTH = 16;
 
 /**
  * Validates folder and optional filename paths
+ * Folders may be nested ("client-a/2026/invoices"); every segment must be a safe name
  * Rejects paths with parent directory references, absolute paths, hidden files, or special characters
  * 
- * @param {string} folder - The folder name to validate
+ * @param {string} folder - The folder path to validate
  * @param {string} [filename] - Optional filename to validate
  * @returns {Object} Object containing validated folder and optional filename
  * @throws {Error} If validation fails
  */
 function validatePath(folder, filename = null) {
   // Basic validation
-  if (!folder) {
+  if (!folder || typeof folder !== 'string') {
     throw new Error('Folder name is required');
   }
 
@@ -22,15 +33,19 @@ function validatePath(folder, filename = null) {
     throw new Error('Invalid folder path');
   }
   
-  // Strict pattern for folder names - alphanumeric, underscore, hyphen only
-  const safePattern = /^[a-zA-Z0-9_-]+$/;
-  if (!safePattern.test(folder)) {
+  // Every segment must be a safe name, which also rules out empty segments and backslashes
+  const segments = folder.split('/');
+  if (!segments.every(segment => SAFE_SEGMENT.test(segment))) {
     throw new Error('Invalid folder name');
   }
   
+  if (segments.length > MAX_FOLDER_DEPTH) {
+    throw new Error(`Folder path cannot be more than ${MAX_FOLDER_DEPTH} levels deep`);
+  }
+  
   // Validate filename if provided
   if (filename) {
-    if (!filename) {
+    if (typeof filename !== 'string') {
       throw new Error('Filename is required');
     }
 
@@ -40,9 +55,14 @@ function validatePath(folder, filename = null) {
       throw new Error('Invalid file path');
     }
     
+    // A filename is a single path segment, including its extension
+    if (/[\/\\\x00-\x1f]/.test(filename)) {
+      throw new Error('Invalid file path');
+    }
+    
     // Allow periods in filenames but only for extensions
     const filenameBase = filename.split('.')[0];
-    if (!safePattern.test(filenameBase)) {
+    if (!SAFE_SEGMENT.test(filenameBase)) {
       throw new Error('Invalid filename');
     }
     
@@ -52,6 +72,132 @@ function validatePath(folder, filename = null) {
   return { folder };
 }
 
+/**
+ * Splits a slash-separated file path from a URL into its folder and filename, then validates both
+ * 
+ * @param {string} filePath - Path such as "client-a/2026/report.pdf"
+ * @returns {Object} Object containing validated folder and filename
+ * @throws {Error} If validation fails
+ */
+function splitFilePath(filePath) {
+  const segments = (filePath || '').split('/');
+  
+  if (segments.length < 2 || !segments[segments.length - 1]) {
+    throw new Error('Folder and filename are required');
+  }
+  
+  return validatePath(segments.slice(0, -1).join('/'), segments[segments.length - 1]);
+}
+
+/**
+ * Resolves a path inside the public or private root, refusing anything that escapes it
+ * Validated names cannot escape on their own; this is a second line of defence
+ * 
+ * @param {string} baseDir - The root directory ('public' or 'private')
+ * @param {...string} segments - Validated folder and optional filename
+ * @returns {string} The joined path, relative to the working directory
+ * @throws {Error} If the resolved path lies outside the root
+ */
+function rootPath(baseDir, ...segments) {
+  const joined = path.join(baseDir, ...segments);
+  const root = path.resolve(baseDir);
+  const resolved = path.resolve(joined);
+  
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('Invalid folder path');
+  }
+  
+  return joined;
+}
+
+/**
+ * Converts a glob pattern into a regular expression
+ * `*` matches within a single path segment, `**` matches across segments and `?` matches one character
+ * 
+ * @param {string} pattern - Glob pattern such as "client-*" or "reports/**"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists a folder and each of its ancestors, shallowest first
+ * 
+ * @param {string} folder - Validated folder path, or '' for the top level
+ * @returns {string[]} E.g. ["client-a", "client-a/2026"] for "client-a/2026"; empty for ''
+ */
+function folderAncestors(folder) {
+  const segments = folder ? folder.split('/') : [];
+  return segments.map((segment, depth) => segments.slice(0, depth + 1).join('/'));
+}
+
+/**
+ * Tells whether compiled folder patterns cover a folder, i.e. match it or one of its ancestors
+ * 
+ * @param {RegExp[]} patterns - Patterns from globToRegExp
+ * @param {string} folder - Validated folder path
+ * @returns {boolean} True if a pattern matches the folder or an ancestor
+ */
+function matchesFolder(patterns, folder) {
+  return folderAncestors(folder).some(ancestor => patterns.some(pattern => pattern.test(ancestor)));
+}
+
+/**
+ * Creates a loader for a JSON configuration file holding a list of entries, such as tokens or rules
+ * The file is re-read whenever its modification time changes; a file that fails to parse is
+ * reported and the previously loaded entries stay in effect, and a missing file means no entries
+ * 
+ * @param {string} file - Path of the JSON file
+ * @param {string} key - Property of the file's top-level object holding the entries
+ * @param {Function} parseEntry - Called with each raw entry and its index; throws if it is malformed
+ * @param {string} label - Singular name of an entry for log messages, e.g. "cache rule"
+ * @returns {Function} Async function resolving to the parsed entries, in file order
+ */
+function createConfigLoader(file, key, parseEntry, label) {
+  // Last successfully loaded entries, with the modification time of the file they came from
+  let cache = { mtimeMs: null, entries: [] };
+  
+  return async function loadConfig() {
+    if (!await fs.pathExists(file)) {
+      cache = { mtimeMs: null, entries: [] };
+      return cache.entries;
+    }
+    
+    const { mtimeMs } = await fs.stat(file);
+    
+    if (mtimeMs !== cache.mtimeMs) {
+      try {
+        const config = await fs.readJson(file);
+        cache = { mtimeMs, entries: (config[key] || []).map(parseEntry) };
+        console.log(`Loaded ${cache.entries.length} ${label}(s) from ${file}`);
+      } catch (error) {
+        console.error(`Failed to load ${file}, keeping previous ${label}s:`, error.message);
+        cache.mtimeMs = mtimeMs;
+      }
+    }
+    
+    return cache.entries;
+  };
+}
+
 /**
  * Builds a public URL for a file or folder
  * 
@@ -69,7 +215,118 @@ function buildPublicUrl(folder, filename = null) {
   return `${baseUrl}/public/${folder}/`;
 }
 
+// Secret generated for signed URLs when neither SIGNING_SECRET nor API_TOKEN is set
+const SIGNING_SECRET_FILE = path.join(DATA_DIR, 'signing-secret');
+
+// Generated secret once read from or written to SIGNING_SECRET_FILE
+let generatedSecret = null;
+
+/**
+ * Returns the key used to sign URLs
+ * SIGNING_SECRET is used when set, then API_TOKEN; with neither (e.g. only a tokens file is
+ * configured) a random secret is generated once and kept in DATA_DIR, so signed URLs survive restarts
+ * 
+ * @returns {string} The signing key
+ * @throws {HttpError} 503 if no secret is configured and none could be generated
+ */
+function signingSecret() {
+  const configured = process.env.SIGNING_SECRET || process.env.API_TOKEN;
+  if (configured) {
+    return configured;
+  }
+  
+  if (!generatedSecret) {
+    try {
+      fs.ensureDirSync(DATA_DIR);
+      try {
+        // "wx" fails if another process created the file first; its secret is read below
+        fs.writeFileSync(SIGNING_SECRET_FILE, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      generatedSecret = fs.readFileSync(SIGNING_SECRET_FILE, 'utf8').trim() || null;
+    } catch (error) {
+      console.error(`Failed to generate a signing secret in ${SIGNING_SECRET_FILE}:`, error.message);
+    }
+  }
+  
+  if (!generatedSecret) {
+    throw new HttpError(503, 'Signed URLs are unavailable: set SIGNING_SECRET to enable them');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Computes the HMAC signature for a file path and expiry timestamp
+ * 
+ * @param {string} folder - The folder name
+ * @param {string} filename - The filename
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} Hex-encoded HMAC-SHA256 signature
+ * @throws {HttpError} 503 if no signing secret is available
+ */
+function signPath(folder, filename, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${folder}/${filename}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Builds a time-limited signed URL for a file
+ * 
+ * @param {string} folder - The folder name
+ * @param {string} filename - The filename
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} The complete signed URL
+ * @throws {HttpError} 503 if no signing secret is available
+ */
+function buildSignedUrl(folder, filename, expires) {
+  const baseUrl = process.env.PUBLIC_URL;
+  const sig = signPath(folder, filename, expires);
+  
+  return `${baseUrl}/signed/${folder}/${filename}?expires=${expires}&sig=${sig}`;
+}
+
+/**
+ * Checks a signed URL's signature and expiry
+ * 
+ * @param {string} folder - The folder name
+ * @param {string} filename - The filename
+ * @param {string} expires - Expiry timestamp from the query string
+ * @param {string} sig - Signature from the query string
+ * @returns {boolean} True if the signature is valid and has not expired
+ * @throws {HttpError} 503 if no signing secret is available
+ */
+function verifySignature(folder, filename, expires, sig) {
+  const expiresAt = Number(expires);
+  
+  if (!Number.isInteger(expiresAt) || typeof sig !== 'string') {
+    return false;
+  }
+  
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signPath(folder, filename, expiresAt), 'hex');
+  const actual = Buffer.from(sig, 'hex');
+  
+  // Compare in constant time to avoid leaking the signature
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 module.exports = {
   validatePath,
-  buildPublicUrl
+  splitFilePath,
+  rootPath,
+  globToRegExp,
+  folderAncestors,
+  matchesFolder,
+  createConfigLoader,
+  buildPublicUrl,
+  buildSignedUrl,
+  verifySignature
 };
@@ -0,0 +1,368 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { globToRegExp, rootPath, folderAncestors, createConfigLoader } = require('./pathUtils');
+const { sidecarPath } = require('./sidecars');
+const { QUOTA_MAX_BYTES, QUOTA_MAX_FILES, QUOTAS_FILE, TRASH_DIR, SESSIONS_DIR } = require('./config');
+
+/**
+ * Storage quotas on bytes and file counts, for the whole store and for folders named in QUOTAS_FILE
+ * A folder's usage covers everything below it in both roots, plus the bytes of its prior versions,
+ * of items deleted from it that are still in the trash, and of upload sessions into it. Measuring
+ * walks the tree, so results are cached briefly and writes committed since a measurement are added
+ * on top of it; deletions only show once the cache expires, which errs on the side of rejecting
+ */
+
+// Milliseconds a measured usage is reused before the tree is walked again
+const USAGE_TTL_MS = 30 * 1000;
+
+// Measured usage per quota folder ('' for the whole store), and writes committed since
+const measured = new Map();
+let recentWrites = [];
+
+// Tail of the queue of writes waiting for each quota folder, see withQuotaLock
+const quotaLocks = new Map();
+
+/**
+ * Tells whether a folder is another folder or lies below it
+ *
+ * @param {string} folder - Folder path to test
+ * @param {string} ancestor - Folder path it may be inside, or '' for the whole store
+ * @returns {boolean} True if folder is ancestor or below it
+ */
+function isWithin(folder, ancestor) {
+  return ancestor === '' || folder === ancestor || folder.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Validates and normalises one entry of the quotas file
+ *
+ * @param {Object} entry - Raw quota entry
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Rule with compiled folder patterns, maxBytes and maxFiles
+ * @throws {Error} If the entry is malformed
+ */
+function parseRule(entry, index) {
+  if (!entry || !Array.isArray(entry.folders) || entry.folders.length === 0) {
+    throw new Error(`Quota #${index + 1} needs a non-empty folders list`);
+  }
+
+  for (const key of ['maxBytes', 'maxFiles']) {
+    if (entry[key] !== undefined && !(Number.isInteger(entry[key]) && entry[key] >= 0)) {
+      throw new Error(`Quota #${index + 1} has an invalid "${key}" value`);
+    }
+  }
+
+  if (entry.maxBytes === undefined && entry.maxFiles === undefined) {
+    throw new Error(`Quota #${index + 1} needs maxBytes, maxFiles or both`);
+  }
+
+  return {
+    patterns: entry.folders,
+    folderPatterns: entry.folders.map(globToRegExp),
+    maxBytes: entry.maxBytes === undefined ? null : entry.maxBytes,
+    maxFiles: entry.maxFiles === undefined ? null : entry.maxFiles
+  };
+}
+
+/**
+ * Returns the configured folder quotas, reloading the quotas file if it changed on disk
+ *
+ * @returns {Promise<Object[]>} Parsed rules, in file order
+ */
+const loadQuotaRules = createConfigLoader(QUOTAS_FILE, 'quotas', parseRule, 'quota');
+
+/**
+ * Lists the quotas that apply to a folder
+ * Each rule applies to the shallowest of the folder's ancestors (or the folder itself) that one of
+ * its patterns matches, so "client-*" limits every client folder as a whole, subfolders included
+ *
+ * @param {string} folder - Validated folder path, or '' for the top level
+ * @returns {Promise<Object[]>} Quotas with folder ('' for the whole store), pattern, maxBytes and maxFiles
+ */
+async function quotasFor(folder) {
+  const quotas = [];
+
+  if (QUOTA_MAX_BYTES !== null || QUOTA_MAX_FILES !== null) {
+    quotas.push({ folder: '', pattern: null, maxBytes: QUOTA_MAX_BYTES, maxFiles: QUOTA_MAX_FILES });
+  }
+
+  for (const rule of await loadQuotaRules()) {
+    for (const ancestor of folderAncestors(folder)) {
+      const index = rule.folderPatterns.findIndex(pattern => pattern.test(ancestor));
+      if (index !== -1) {
+        quotas.push({ folder: ancestor, pattern: rule.patterns[index], maxBytes: rule.maxBytes, maxFiles: rule.maxFiles });
+        break;
+      }
+    }
+  }
+
+  return quotas;
+}
+
+/**
+ * Adds up the files below a directory, skipping dot-prefixed names such as in-progress uploads
+ *
+ * @param {string} dir - Directory to walk
+ * @param {Object} usage - Running totals of bytes and files, updated in place
+ */
+async function walkUsage(dir, usage) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await walkUsage(entryPath, usage);
+    } else if (entry.isFile()) {
+      const stats = await fs.lstat(entryPath).catch(() => null);
+      if (stats) {
+        usage.bytes += stats.size;
+        usage.files++;
+      }
+    }
+  }
+}
+
+/**
+ * Reads the JSON descriptors in a directory, such as trashed items or upload sessions
+ * Descriptors removed or half-written while reading are skipped
+ *
+ * @param {string} dir - Directory holding <id>.json descriptors
+ * @returns {Promise<Object[]>} Descriptors with their id
+ */
+async function readDescriptors(dir) {
+  let names;
+  try {
+    names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const descriptors = await Promise.all(names.map(name => fs.readJson(path.join(dir, name)).catch(() => null)));
+  return descriptors.filter(descriptor => descriptor && typeof descriptor.folder === 'string');
+}
+
+/**
+ * Adds up the prior versions kept for a file, or for every file below a folder
+ *
+ * @param {string} folder - Validated folder path, or '' for the whole store
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ * @returns {Promise<number>} Bytes held by the versions
+ */
+async function versionBytes(folder, filename = null) {
+  const usage = { bytes: 0, files: 0 };
+  await walkUsage(sidecarPath('versions', folder, filename), usage);
+  return usage.bytes;
+}
+
+/**
+ * Measures a folder's usage
+ * Files count in both roots. Prior versions, trashed items and upload sessions are kept under
+ * DATA_DIR but belong to the folder they came from or are going to, so their bytes count as well,
+ * though not as files; a session counts with its declared size from the moment it is created
+ *
+ * @param {string} folder - Validated folder path, or '' for the whole store
+ * @returns {Promise<Object>} Object with bytes and files
+ */
+async function measureUsage(folder) {
+  const usage = { bytes: 0, files: 0 };
+
+  for (const root of ['public', 'private']) {
+    await walkUsage(folder ? rootPath(root, folder) : root, usage);
+  }
+
+  const stored = { bytes: await versionBytes(folder), files: 0 };
+
+  // A trashed folder holds the folders below it, so a quota on one of those counts its part of the item
+  for (const item of await readDescriptors(TRASH_DIR)) {
+    const dataDir = path.join(TRASH_DIR, path.basename(String(item.id)));
+    if (isWithin(item.folder, folder)) {
+      await walkUsage(dataDir, stored);
+    } else if (item.type === 'folder' && isWithin(folder, item.folder)) {
+      for (const root of ['public', 'private']) {
+        await walkUsage(rootPath(path.join(dataDir, root), folder.slice(item.folder.length + 1)), stored);
+      }
+    }
+  }
+
+  for (const session of await readDescriptors(SESSIONS_DIR)) {
+    if (isWithin(session.folder, folder) && Number.isInteger(session.size)) {
+      stored.bytes += session.size;
+    }
+  }
+
+  usage.bytes += stored.bytes;
+  return usage;
+}
+
+/**
+ * Returns a folder's current usage, from a recent measurement plus the writes committed since
+ *
+ * @param {string} folder - Validated folder path, or '' for the whole store
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Walk the tree even if a recent measurement exists
+ * @returns {Promise<Object>} Object with bytes and files
+ */
+async function currentUsage(folder, { fresh = false } = {}) {
+  const now = Date.now();
+  let snapshot = measured.get(folder);
+
+  if (fresh || !snapshot || now - snapshot.measuredAt > USAGE_TTL_MS) {
+    snapshot = { ...await measureUsage(folder), measuredAt: now };
+    measured.set(folder, snapshot);
+  }
+
+  recentWrites = recentWrites.filter(write => now - write.at <= USAGE_TTL_MS);
+
+  return recentWrites
+    .filter(write => write.at >= snapshot.measuredAt && isWithin(write.folder, folder))
+    .reduce(
+      (usage, write) => ({ bytes: usage.bytes + write.bytes, files: usage.files + write.files }),
+      { bytes: snapshot.bytes, files: snapshot.files }
+    );
+}
+
+/**
+ * Checks that a write fits within every quota that applies to its folder
+ * Callers check before receiving any data, using the declared size when there is one, and the
+ * returned allowance bounds how many bytes they accept when the size is not known up front
+ *
+ * @param {string} folder - Validated folder path of the write
+ * @param {Object} change
+ * @param {number} [change.bytes] - Bytes the write adds; negative when it shrinks an overwritten file
+ * @param {number} [change.files] - Files the write adds, 0 when it overwrites one
+ * @param {string} [change.from] - Folder the data is moved from; quotas covering it as well are unaffected
+ * @returns {Promise<number>} Bytes still available below the tightest byte quota, Infinity if none applies
+ * @throws {HttpError} 507 if the write would exceed a quota
+ */
+async function checkQuota(folder, { bytes = 0, files = 0, from = null } = {}) {
+  let available = Infinity;
+
+  for (const quota of await quotasFor(folder)) {
+    if (from !== null && isWithin(from, quota.folder)) {
+      continue;
+    }
+
+    const usage = await currentUsage(quota.folder);
+    const scope = quota.folder ? `folder "${quota.folder}"` : 'the store';
+
+    if (quota.maxFiles !== null && files > 0 && usage.files + files > quota.maxFiles) {
+      throw new HttpError(507, `File quota exceeded for ${scope}: ${usage.files} of ${quota.maxFiles} files used, ${files} more needed`);
+    }
+
+    if (quota.maxBytes !== null) {
+      const remaining = Math.max(quota.maxBytes - usage.bytes, 0);
+      if (bytes > 0 && bytes > remaining) {
+        throw new HttpError(507, `Storage quota exceeded for ${scope}: ${usage.bytes} of ${quota.maxBytes} bytes used, ${bytes} more needed`);
+      }
+      available = Math.min(available, remaining);
+    }
+  }
+
+  return available;
+}
+
+/**
+ * Records a committed write, so it counts against quotas before the next measurement
+ *
+ * @param {string} folder - Validated folder path of the write
+ * @param {Object} change
+ * @param {number} [change.bytes] - Bytes the write added
+ * @param {number} [change.files] - Files the write added
+ */
+function recordWrite(folder, { bytes = 0, files = 0 } = {}) {
+  recentWrites.push({ folder, bytes, files, at: Date.now() });
+}
+
+/**
+ * Runs a function while holding the locks of every quota that applies to a folder
+ * Writes check a quota, write and then record the write under these locks, so two writes below
+ * the same quota folder, e.g. into sibling folders, cannot both pass the check with room for one.
+ * Locks are taken in sorted order, so writes sharing several quotas cannot deadlock
+ *
+ * @param {string} folder - Validated folder path of the write
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+async function withQuotaLock(folder, fn) {
+  const keys = [...new Set((await quotasFor(folder)).map(quota => quota.folder))].sort();
+
+  const lockAll = async ([key, ...rest]) => {
+    if (key === undefined) {
+      return fn();
+    }
+
+    const previous = quotaLocks.get(key) || Promise.resolve();
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const current = previous.then(() => held);
+    quotaLocks.set(key, current);
+
+    await previous;
+    try {
+      return await lockAll(rest);
+    } finally {
+      release();
+      if (quotaLocks.get(key) === current) {
+        quotaLocks.delete(key);
+      }
+    }
+  };
+
+  return lockAll(keys);
+}
+
+/**
+ * Reports a folder's usage against every quota that applies to it
+ * Usage is measured afresh, so the figures reflect deletions too
+ *
+ * @param {string} folder - Validated folder path, or '' for the whole store
+ * @returns {Promise<Object>} Object with usage ({ bytes, files }) and quotas, each with folder (null for
+ *   the whole store), pattern, maxBytes, maxFiles, usedBytes, usedFiles, remainingBytes and remainingFiles;
+ *   limits and what remains of them are null when unlimited
+ */
+async function describeUsage(folder) {
+  const usage = await currentUsage(folder, { fresh: true });
+  const quotas = [];
+
+  for (const quota of await quotasFor(folder)) {
+    const used = quota.folder === folder ? usage : await currentUsage(quota.folder, { fresh: true });
+    quotas.push({
+      folder: quota.folder || null,
+      pattern: quota.pattern,
+      maxBytes: quota.maxBytes,
+      maxFiles: quota.maxFiles,
+      usedBytes: used.bytes,
+      usedFiles: used.files,
+      remainingBytes: quota.maxBytes === null ? null : Math.max(quota.maxBytes - used.bytes, 0),
+      remainingFiles: quota.maxFiles === null ? null : Math.max(quota.maxFiles - used.files, 0)
+    });
+  }
+
+  return { usage, quotas };
+}
+
+module.exports = {
+  loadQuotaRules,
+  quotasFor,
+  checkQuota,
+  recordWrite,
+  withQuotaLock,
+  versionBytes,
+  describeUsage
+};
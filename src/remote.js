@@ -0,0 +1,265 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const contentDisposition = require('content-disposition');
+const { HttpError } = require('./errors');
+const { FETCH_TIMEOUT, FETCH_ALLOW_PRIVATE } = require('./config');
+
+/**
+ * Outgoing requests to client-supplied URLs: downloads for /fetch and webhook deliveries
+ * Every address a URL resolves to is checked when the connection is made, including after
+ * redirects, so neither a hostname that resolves to an internal address nor a redirect to one
+ * can reach services on the private network
+ */
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 5;
+
+// Limit on client-supplied request headers
+const MAX_HEADERS = 50;
+
+// Headers clients cannot set, because the request itself defines them
+const RESERVED_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection'];
+
+// Private, loopback, link-local and other non-public ranges
+// IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are matched against the IPv4 ranges. Other
+// IPv6 ranges that embed an IPv4 address, and can reach it through a gateway, are blocked as a whole:
+// IPv4-compatible (::/96, which also holds :: and ::1), NAT64 (64:ff9b::/96, 64:ff9b:1::/48),
+// 6to4 (2002::/16) and Teredo (2001::/32)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Tells whether an IP address is one the service must not connect to
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for private, loopback, link-local and other non-public addresses
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Creates a DNS lookup for outgoing requests that refuses hostnames resolving to a blocked address
+ * Used as the socket's lookup function, so the address checked is the one connected to
+ *
+ * @param {boolean} allowPrivate - Skip the check, e.g. when FETCH_ALLOW_PRIVATE is set
+ * @returns {Function} Lookup function for http.request
+ */
+function guardedLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = !allowPrivate && addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        return callback(new HttpError(403, `${hostname} resolves to a private address (${blocked.address})`));
+      }
+
+      return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Parses and checks a client-supplied URL to connect to
+ *
+ * @param {string} value - URL from the client
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Accept private, loopback and link-local addresses
+ * @returns {URL} The parsed URL
+ * @throws {HttpError} 400 if it is not an http(s) URL, 403 if it names a blocked address
+ */
+function parseHttpUrl(value, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new HttpError(400, 'url must be an absolute http or https URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new HttpError(400, 'url must be an absolute http or https URL');
+  }
+
+  // Literal addresses never go through the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && isBlockedAddress(host)) {
+    throw new HttpError(403, `Connecting to private address ${host} is not allowed`);
+  }
+
+  return url;
+}
+
+/**
+ * Validates request headers to send with a fetch
+ *
+ * @param {Object} [headers] - Header names and string values
+ * @returns {Object} The headers
+ * @throws {HttpError} 400 if they are not an object of strings or set a reserved header
+ */
+function validateHeaders(headers = {}) {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new HttpError(400, 'headers must be an object of header names and values');
+  }
+
+  const names = Object.keys(headers);
+  if (names.length > MAX_HEADERS) {
+    throw new HttpError(400, `headers can have at most ${MAX_HEADERS} entries`);
+  }
+  if (Object.values(headers).some(value => typeof value !== 'string')) {
+    throw new HttpError(400, 'header values must be strings');
+  }
+
+  const reserved = names.find(name => RESERVED_HEADERS.includes(name.toLowerCase()));
+  if (reserved) {
+    throw new HttpError(400, `The ${reserved} header cannot be set`);
+  }
+
+  return headers;
+}
+
+/**
+ * Sends a GET request and resolves with the response once its headers arrive
+ *
+ * @param {URL} url - URL to request
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal} signal - Aborts the request and its response
+ * @returns {Promise<Object>} Node http.IncomingMessage
+ */
+function request(url, headers, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers, signal, lookup: guardedLookup(FETCH_ALLOW_PRIVATE) }, resolve);
+    req.on('error', (error) => {
+      reject(error instanceof HttpError || signal.aborted
+        ? error
+        : new HttpError(502, `Could not fetch ${url.host}: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Works out a filename for a fetched file, from Content-Disposition or else the URL path
+ *
+ * @param {Object} response - Node http.IncomingMessage
+ * @param {URL} url - Final URL, after redirects
+ * @returns {string|null} Suggested filename, not yet validated
+ */
+function suggestedFilename(response, url) {
+  const header = response.headers['content-disposition'];
+  if (header) {
+    try {
+      const { filename } = contentDisposition.parse(header).parameters;
+      if (filename) {
+        return path.posix.basename(filename);
+      }
+    } catch (error) {
+      // Fall back to the URL for malformed headers
+    }
+  }
+
+  try {
+    return decodeURIComponent(url.pathname.split('/').pop()) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Downloads a URL and hands the response body to a callback as a stream
+ * Redirects are followed; client headers are dropped when a redirect leaves the original origin,
+ * so credentials meant for one server are never sent to another. The whole download, including
+ * the callback, must finish within FETCH_TIMEOUT seconds
+ *
+ * @param {string} sourceUrl - URL from the client
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers, from validateHeaders
+ * @param {Function} onResponse - Async callback receiving { stream, url, filename, contentType, size },
+ *   where size is the declared Content-Length or null
+ * @returns {Promise<*>} The callback's result
+ * @throws {HttpError} 403 for a blocked address, 502 if the source fails or does not answer 2xx,
+ *   504 on timeout
+ */
+async function fetchRemote(sourceUrl, { headers = {} } = {}, onResponse) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT * 1000);
+  let response = null;
+  let streamError = null;
+
+  try {
+    let url = parseHttpUrl(sourceUrl, { allowPrivate: FETCH_ALLOW_PRIVATE });
+    const { origin } = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const sent = url.origin === origin ? headers : {};
+      response = await request(url, { 'user-agent': 'file-api-microservice', ...sent }, controller.signal);
+
+      if (![301, 302, 303, 307, 308].includes(response.statusCode) || !response.headers.location) {
+        break;
+      }
+
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new HttpError(502, `Too many redirects fetching ${sourceUrl}`);
+      }
+      url = parseHttpUrl(new URL(response.headers.location, url).href, { allowPrivate: FETCH_ALLOW_PRIVATE });
+    }
+
+    if (response.statusCode < 200 || response.statusCode > 299) {
+      response.resume();
+      throw new HttpError(502, `Source responded with ${response.statusCode}`);
+    }
+
+    response.on('error', (error) => {
+      streamError = error;
+    });
+
+    const declared = parseInt(response.headers['content-length'], 10);
+
+    return await onResponse({
+      stream: response,
+      url: url.href,
+      filename: suggestedFilename(response, url),
+      contentType: response.headers['content-type'] || null,
+      size: Number.isNaN(declared) ? null : declared
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new HttpError(504, `Fetching took longer than ${FETCH_TIMEOUT} seconds`);
+    }
+    if (streamError && !(error instanceof HttpError)) {
+      throw new HttpError(502, `Fetching failed: ${streamError.message}`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (response) {
+      response.destroy();
+    }
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  guardedLookup,
+  parseHttpUrl,
+  validateHeaders,
+  fetchRemote
+};
@@ -1,24 +1,558 @@
 const express = require('express');
 const fs = require('fs-extra');
 const path = require('path');
-const { validatePath, buildPublicUrl } = require('./pathUtils');
-const { authMiddleware } = require('./middleware');
+const contentDisposition = require('content-disposition');
+const {
+  validatePath,
+  splitFilePath,
+  rootPath,
+  buildPublicUrl,
+  buildSignedUrl,
+  verifySignature
+} = require('./pathUtils');
+const { authMiddleware, authorize } = require('./middleware');
+const {
+  CONFLICT_MODES,
+  findFile,
+  findFolder,
+  resolveTarget,
+  folderVisibility,
+  listEntries,
+  mergeDirectory,
+  createBase64Stream,
+  base64DecodedSize,
+  fileETag,
+  checkPreconditions,
+  availableName,
+  resolveWriteTarget,
+  withFolderLock,
+  archiveExisting,
+  moveFileState,
+  removeFileState,
+  storeFile
+} = require('./storage');
+const { expectedDigests } = require('./integrity');
+const { archiveFormat, selectArchiveEntries, streamArchive } = require('./archive');
+const { extractArchive } = require('./extract');
+const { validateHeaders, fetchRemote } = require('./remote');
+const {
+  describeWebhook,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  readDeliveries,
+  webhookMiddleware
+} = require('./webhooks');
+const { parsePageOptions, parseFileFilters, pageFiles, pageFolders } = require('./search');
+const {
+  readMeta,
+  updateMeta,
+  hashesOf,
+  describeMeta,
+  parseExpiry,
+  validateMeta,
+  mergeCustom,
+  readFolderMeta,
+  writeFolderMeta
+} = require('./metadata');
+const { HttpError } = require('./errors');
+const { receiveMultipart } = require('./multipart');
+const { recordAudit, queryAudit } = require('./audit');
+const {
+  trashItem,
+  getTrashItem,
+  listTrash,
+  restoreItem,
+  purgeTrashItem,
+  describeTrashItem
+} = require('./trash');
+const { listVersions, getVersionPath } = require('./versions');
+const { cacheControlFor } = require('./cachePolicy');
+const { describeUsage } = require('./quotas');
+const { isExpired } = require('./expiry');
+const { copyFile, moveFile, copyFolder, moveFolder } = require('./transfer');
+const { parseTransform, transformImage } = require('./images');
+const {
+  createSession,
+  getSession,
+  appendChunk,
+  completeSession,
+  describeSession
+} = require('./uploadSessions');
+const {
+  UPLOAD_MAX_BYTES,
+  SIGNED_URL_DEFAULT_TTL,
+  SIGNED_URL_MAX_TTL,
+  PUBLIC_ARCHIVES,
+  BATCH_MAX_OPERATIONS
+} = require('./config');
 
 const router = express.Router();
 
+// Operations a batch can contain, and the endpoint each one runs
+const BATCH_OPERATIONS = {
+  upload: 'POST /upload',
+  mkdir: 'POST /mkdir',
+  delete: 'DELETE /delete/*',
+  rename: 'PATCH /rename',
+  expose: 'POST /expose/*',
+  unexpose: 'POST /unexpose/*',
+  copy: 'POST /copy',
+  move: 'POST /move'
+};
+
+// Whether a batch goes on after a failed operation or skips the rest
+const BATCH_ERROR_MODES = ['stop', 'continue'];
+
+/**
+ * Streams a stored file with Content-Type, Content-Disposition, ETag and Cache-Control headers
+ * The Content-Type is the MIME type stored in the file's metadata, or else guessed from its extension
+ * Byte ranges (206), If-Range, If-None-Match and If-Modified-Since (304) are handled by sendFile
+ * against the strong ETag set here, the same one If-Match and If-None-Match are checked against on writes
+ * 
+ * @param {Object} res - Express response
+ * @param {string} filePath - Path to the file on disk
+ * @param {string} folder - The validated folder of the file, for its metadata
+ * @param {string} filename - Filename to advertise to the client
+ * @param {Object} options
+ * @param {string|null} options.disposition - 'inline', 'attachment', or null to send no Content-Disposition
+ * @param {string} options.cacheControl - Cache-Control header value
+ */
+async function sendDownload(res, filePath, folder, filename, { disposition, cacheControl }) {
+  const { mimetype } = await readMeta(folder, filename);
+  
+  res.type(mimetype || path.extname(filename) || 'application/octet-stream');
+  if (disposition) {
+    res.set('Content-Disposition', contentDisposition(filename, { type: disposition }));
+  }
+  res.set('ETag', fileETag(await fs.stat(filePath)));
+  res.set('Cache-Control', cacheControl);
+  
+  return res.sendFile(path.resolve(filePath));
+}
+
+/**
+ * Streams a folder's files as a ZIP or tar.gz download
+ * The format and selection are checked before any headers are sent, so they can still fail with a JSON error
+ * Expired files that have not been swept yet are left out
+ * 
+ * @param {Object} res - Express response
+ * @param {string} folder - The validated folder being archived
+ * @param {Object[]} entries - File entries from listEntries for the folder
+ * @param {Object} query - Request query with optional format, files and pattern
+ * @throws {HttpError} 400 for an unknown format, 404 if no files are selected
+ */
+async function sendArchive(res, folder, entries, { format, files, pattern }) {
+  const archive = archiveFormat(format);
+  const current = [];
+  for (const entry of entries) {
+    if (!await isExpired(entry.folder, entry.filename, entry.filePath)) {
+      current.push(entry);
+    }
+  }
+  
+  const selected = selectArchiveEntries(current, { files, pattern });
+  const archiveName = `${folder.split('/').pop()}.${archive.extension}`;
+  
+  // Archives are built on the fly from the current files, so they are never cached
+  res.set('Content-Type', archive.contentType);
+  res.set('Content-Disposition', contentDisposition(archiveName, { type: 'attachment' }));
+  res.set('Cache-Control', 'no-store');
+  
+  await streamArchive(res, selected, archive);
+}
+
+/**
+ * Builds the metadata document recorded for a newly uploaded file
+ * 
+ * @param {Object} req - Express request, for the uploading token
+ * @param {string} originalName - Filename the client uploaded the file as
+ * @param {Object} input - Client-supplied mimetype, tags, custom fields and expiresIn or expiresAt
+ * @returns {Object} Metadata document
+ * @throws {HttpError} 400 if the client-supplied metadata is invalid
+ */
+function uploadMeta(req, originalName, input) {
+  const { mimetype = null, tags = [], custom = {}, expiresAt = null } = validateMeta(input);
+  
+  return {
+    mimetype,
+    originalName,
+    uploadedBy: req.token.name,
+    uploadedAt: new Date().toISOString(),
+    tags,
+    custom: mergeCustom({}, custom),
+    expiresAt
+  };
+}
+
+/**
+ * Collects custom metadata from X-Meta-* headers, e.g. "X-Meta-Project: apollo"
+ * 
+ * @param {Object} headers - Request headers
+ * @returns {Object|undefined} Key/value pairs with lowercase keys, or undefined if there are none
+ */
+function customFromHeaders(headers) {
+  const entries = Object.keys(headers)
+    .filter(name => name.startsWith('x-meta-'))
+    .map(name => [name.slice('x-meta-'.length), headers[name]]);
+  
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * Handles a multipart/form-data upload
+ * Reads `folder`, `expose` and `onConflict` fields and streams every file part into that folder
+ * Optional `sha256` and `md5` fields are checked against the next file part, and optional
+ * `mimetype`, `tags`, `expiresIn` and `expiresAt` fields are stored as its metadata; otherwise the part's own type is kept
+ * If-Match and If-None-Match apply to each file part
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function handleMultipartUpload(req, res) {
+  try {
+    const { results } = await receiveMultipart(req, async ({ fields, filename, mimeType, stream }) => {
+      if (!fields.folder) {
+        throw new HttpError(400, 'Missing required field: folder (send it before any file parts)');
+      }
+      
+      const expose = fields.expose === 'true';
+      const { folder: safeFolder, filename: safeFilename } = validatePath(fields.folder, filename);
+      authorize(req, 'upload', safeFolder);
+      const expected = expectedDigests({ sha256: fields.sha256, md5: fields.md5 });
+      const meta = uploadMeta(req, filename, {
+        // Clients send application/octet-stream when they do not know the type
+        mimetype: fields.mimetype || (mimeType !== 'application/octet-stream' ? mimeType : undefined),
+        tags: fields.tags,
+        expiresIn: fields.expiresIn,
+        expiresAt: fields.expiresAt
+      });
+      
+      const stored = await storeFile(safeFolder, safeFilename, stream, {
+        expose,
+        maxBytes: UPLOAD_MAX_BYTES,
+        expected,
+        meta,
+        onConflict: fields.onConflict,
+        ifMatch: req.headers['if-match'],
+        ifNoneMatch: req.headers['if-none-match']
+      });
+      await recordAudit(req, { action: 'file_uploaded', folder: safeFolder, file: stored.filename, size: stored.size });
+      
+      return {
+        status: 'ok',
+        action: 'file_uploaded',
+        visibility: expose ? 'exposed' : 'hidden',
+        url: expose ? buildPublicUrl(safeFolder, stored.filename) : null,
+        folder: safeFolder,
+        file: stored.filename,
+        message: 'File uploaded',
+        etag: stored.etag,
+        sha256: stored.sha256,
+        md5: stored.md5,
+        metadata: describeMeta(stored.meta)
+      };
+    });
+    
+    if (results.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No file parts in multipart upload'
+      });
+    }
+    
+    // A single file keeps the plain upload shape; every stored file is also listed in `files`
+    const [first] = results;
+    const single = results.length === 1;
+    
+    if (single) {
+      res.set('ETag', first.etag);
+    }
+    
+    return res.json({
+      status: 'ok',
+      action: 'file_uploaded',
+      visibility: first.visibility,
+      url: single ? first.url : (first.visibility === 'exposed' ? buildPublicUrl(first.folder) : null),
+      folder: first.folder,
+      file: single ? first.file : null,
+      message: single ? 'File uploaded' : `${results.length} files uploaded`,
+      sha256: single ? first.sha256 : null,
+      md5: single ? first.md5 : null,
+      metadata: single ? first.metadata : null,
+      files: results
+    });
+  } catch (validationError) {
+    return res.status(validationError.statusCode || 400).json({
+      status: 'error',
+      message: validationError.message
+    });
+  }
+}
+
+/**
+ * Copies or moves a file or folder, for POST /copy and POST /move
+ * The destination is `toFolder` (the source's own folder, or for a folder its parent, when omitted;
+ * '' for the top level when moving a folder) and `newName` (the source's name when omitted).
+ * Copies need list access to the source and upload access to the destination; moves need rename access to both
+ * 
+ * @param {Object} req - Express request with type, folder, filename, toFolder, newName, expose and onConflict in the body
+ * @param {Object} res - Express response
+ * @param {string} operation - 'copy' or 'move'
+ */
+async function sendTransfer(req, res, operation) {
+  const { type, folder, filename, toFolder, newName, expose, onConflict = 'overwrite' } = req.body || {};
+  const copying = operation === 'copy';
+  const action = copying ? 'copied' : 'moved';
+  
+  if (!type || !folder) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing required fields: type, folder'
+    });
+  }
+  
+  if (type !== 'file' && type !== 'folder') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Type must be "file" or "folder"'
+    });
+  }
+  
+  if (type === 'file' && !filename) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Filename is required when type is "file"'
+    });
+  }
+  
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+    });
+  }
+  
+  try {
+    // Without expose, everything keeps the visibility it has
+    const targetExpose = expose === undefined || expose === null ? null : expose === true || expose === 'true';
+    const options = { expose: targetExpose, onConflict, actor: req.token.name };
+    
+    if (type === 'file') {
+      const from = validatePath(folder, filename);
+      const to = validatePath(toFolder === undefined ? from.folder : toFolder, newName || from.filename);
+      authorize(req, copying ? 'list' : 'rename', from.folder);
+      authorize(req, copying ? 'upload' : 'rename', to.folder);
+      
+      // If-Match and If-None-Match refer to the file being copied or moved
+      const conditions = { ifMatch: req.headers['if-match'], ifNoneMatch: req.headers['if-none-match'] };
+      const result = copying
+        ? await copyFile(from, to, { ...options, ...conditions })
+        : await moveFile(from, to, { ...options, ...conditions });
+      
+      if (!result) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      await recordAudit(req, {
+        action,
+        folder: to.folder,
+        file: result.filename,
+        size: result.size,
+        details: { fromFolder: from.folder, fromFile: from.filename }
+      });
+      
+      res.set('ETag', result.etag);
+      return res.json({
+        status: 'ok',
+        action,
+        visibility: result.isExposed ? 'exposed' : 'hidden',
+        url: result.isExposed ? buildPublicUrl(to.folder, result.filename) : null,
+        folder: to.folder,
+        file: result.filename,
+        message: copying ? 'File copied' : 'File moved',
+        from: { folder: from.folder, file: from.filename }
+      });
+    }
+    
+    const { folder: source } = validatePath(folder);
+    const sourceParent = path.posix.dirname(source);
+    const parent = toFolder === undefined
+      ? (sourceParent === '.' ? '' : sourceParent)
+      : (toFolder === '' ? '' : validatePath(toFolder).folder);
+    const segment = newName === undefined ? source.split('/').pop() : validatePath(newName).folder;
+    
+    if (segment.includes('/')) {
+      throw new Error('New folder name must be a single segment');
+    }
+    
+    const target = parent ? `${parent}/${segment}` : segment;
+    const permission = copying ? 'upload' : 'rename';
+    authorize(req, copying ? 'list' : 'rename', source);
+    authorize(req, permission, target);
+    
+    // onConflict 'rename' may pick a path the token has no access to
+    const checkTarget = picked => authorize(req, permission, picked);
+    const result = copying
+      ? await copyFolder(source, target, { ...options, checkTarget })
+      : await moveFolder(source, target, { ...options, checkTarget });
+    
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Folder not found'
+      });
+    }
+    
+    const details = { fromFolder: source };
+    if (copying) {
+      details.files = result.files;
+    }
+    if (result.replaced) {
+      details.replacedTrashId = result.replaced.id;
+    }
+    await recordAudit(req, { action, folder: result.folder, details });
+    
+    return res.json({
+      status: 'ok',
+      action,
+      visibility: folderVisibility(result.inPublic, result.inPrivate),
+      url: result.inPublic ? buildPublicUrl(result.folder) : null,
+      folder: result.folder,
+      file: null,
+      message: copying ? `Folder copied with ${result.files} file(s)` : 'Folder moved',
+      from: { folder: source, file: null }
+    });
+  } catch (validationError) {
+    return res.status(validationError.statusCode || 400).json({
+      status: 'error',
+      message: validationError.message
+    });
+  }
+}
+
+/**
+ * Builds the request that runs one operation of a batch, for the endpoint it stands for
+ * Operations that act on a path take it as `path`; the others take the endpoint's JSON body.
+ * `ifMatch` and `ifNoneMatch` become the matching headers
+ * 
+ * @param {Object} operation - Batch entry, e.g. { op: 'delete', path: 'reports/old.pdf' }
+ * @returns {Object} Object with method, url, query, body and headers
+ */
+function batchRequest(operation) {
+  const { op, path: target = '', permanent, ifMatch, ifNoneMatch, ...fields } = operation;
+  const [method, endpoint] = BATCH_OPERATIONS[op].split(' ');
+  const headers = {};
+  
+  if (ifMatch) {
+    headers['if-match'] = ifMatch;
+  }
+  if (ifNoneMatch) {
+    headers['if-none-match'] = ifNoneMatch;
+  }
+  
+  if (endpoint.endsWith('/*')) {
+    const encoded = String(target).split('/').map(encodeURIComponent).join('/');
+    return {
+      method,
+      url: `${endpoint.slice(0, -1)}${encoded}`,
+      query: op === 'delete' ? { permanent: String(permanent === true || permanent === 'true') } : {},
+      body: {},
+      headers
+    };
+  }
+  
+  return { method, url: endpoint, query: {}, body: fields, headers };
+}
+
+/**
+ * Runs one operation of a batch through the router, as if it had been sent on its own
+ * The operation is authenticated with the batch's Authorization header and triggers webhooks like a
+ * direct call; its response is captured instead of being sent
+ * 
+ * @param {Object} req - Express request of the batch
+ * @param {Object} operation - Batch entry
+ * @returns {Promise<Object>} Object with the operation's statusCode and JSON body
+ */
+function runBatchOperation(req, operation) {
+  const { method, url, query, body, headers } = batchRequest(operation);
+  
+  return new Promise((resolve) => {
+    const opReq = Object.create(req);
+    Object.assign(opReq, {
+      method,
+      url,
+      originalUrl: url,
+      baseUrl: '',
+      params: {},
+      query,
+      body,
+      headers: { authorization: req.headers.authorization, 'content-type': 'application/json', ...headers }
+    });
+    
+    const opRes = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set() {
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+        return this;
+      }
+    };
+    
+    webhookMiddleware(opReq, opRes, () => {
+      router(opReq, opRes, (error) => {
+        if (error) {
+          console.error('Batch operation error:', error);
+        }
+        resolve(error
+          ? { statusCode: 500, body: { status: 'error', message: 'Internal server error' } }
+          : { statusCode: 404, body: { status: 'error', message: 'Endpoint not found' } });
+      });
+    });
+  });
+}
+
 /**
- * Upload endpoint - handles both binary and JSON base64 uploads
- * Creates folders if needed and handles exposure logic
+ * Upload endpoint - handles binary, JSON base64 and multipart/form-data uploads
+ * Streams the file to disk, creates folders if needed and handles exposure logic
  */
 router.post('/upload', authMiddleware, async (req, res) => {
   try {
-    let folder, filename, expose = false, fileData, mimetype;
+    let folder, filename, expose = false, onConflict, source, declaredSize, digests, metaInput;
+    
+    // Handle multipart form upload
+    if (req.is('multipart/form-data')) {
+      return await handleMultipartUpload(req, res);
+    }
     
     // Handle binary upload
     if (req.headers['content-type'] === 'application/octet-stream') {
       folder = req.headers['x-folder'];
       filename = req.headers['x-filename'];
       expose = req.headers['x-expose'] === 'true';
+      onConflict = req.headers['x-on-conflict'];
+      digests = {
+        sha256: req.headers['x-checksum-sha256'],
+        md5: req.headers['content-md5'],
+        contentDigest: req.headers['content-digest']
+      };
+      metaInput = {
+        mimetype: req.headers['x-mimetype'],
+        tags: req.headers['x-tags'],
+        custom: customFromHeaders(req.headers),
+        expiresIn: req.headers['x-expires-in'],
+        expiresAt: req.headers['x-expires-at']
+      };
       
       if (!folder || !filename) {
         return res.status(400).json({
@@ -27,16 +561,13 @@ router.post('/upload', authMiddleware, async (req, res) => {
         });
       }
       
-      // Collect binary data
-      const chunks = [];
-      for await (const chunk of req) {
-        chunks.push(chunk);
-      }
-      fileData = Buffer.concat(chunks);
+      // Stream the request body straight to disk
+      source = req;
+      declaredSize = parseInt(req.headers['content-length'], 10) || 0;
     } 
     // Handle JSON base64 upload
     else {
-      const { folder: reqFolder, filename: reqFilename, base64, mimetype: reqMimetype, expose: reqExpose } = req.body;
+      const { folder: reqFolder, filename: reqFilename, base64, mimetype, tags, custom, expiresIn, expiresAt, expose: reqExpose, onConflict: reqOnConflict, sha256, md5 } = req.body;
       
       if (!reqFolder || !reqFilename || !base64) {
         return res.status(400).json({
@@ -48,40 +579,60 @@ router.post('/upload', authMiddleware, async (req, res) => {
       folder = reqFolder;
       filename = reqFilename;
       expose = reqExpose || false;
-      mimetype = reqMimetype;
-      fileData = Buffer.from(base64, 'base64');
+      metaInput = { mimetype, tags, custom, expiresIn, expiresAt };
+      onConflict = reqOnConflict;
+      digests = {
+        sha256: sha256 || req.headers['x-checksum-sha256'],
+        md5: md5 || req.headers['content-md5']
+      };
+      source = createBase64Stream(base64);
+      declaredSize = base64DecodedSize(base64);
     }
     
     try {
       // Validate paths
       const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
+      authorize(req, 'upload', safeFolder);
+      const expected = expectedDigests(digests);
+      const meta = uploadMeta(req, filename, metaInput);
       
-      // Determine storage location based on exposure
-      const baseDir = expose ? 'public' : 'private';
-      
-      // Create folder structure
-      const folderPath = path.join(baseDir, safeFolder);
-      await fs.ensureDir(folderPath);
+      // Reject oversized uploads before writing anything
+      if (declaredSize > UPLOAD_MAX_BYTES) {
+        throw new HttpError(413, `File exceeds maximum upload size of ${UPLOAD_MAX_BYTES} bytes`);
+      }
       
-      // Save file
-      const filePath = path.join(folderPath, safeFilename);
-      await fs.writeFile(filePath, fileData);
+      // Save file via a temp file so partial uploads never replace the existing one
+      const stored = await storeFile(safeFolder, safeFilename, source, {
+        expose,
+        maxBytes: UPLOAD_MAX_BYTES,
+        size: declaredSize,
+        expected,
+        meta,
+        onConflict,
+        ifMatch: req.headers['if-match'],
+        ifNoneMatch: req.headers['if-none-match']
+      });
+      await recordAudit(req, { action: 'file_uploaded', folder: safeFolder, file: stored.filename, size: stored.size });
       
       // Handle exposure
       let visibility = expose ? 'exposed' : 'hidden';
-      let url = expose ? buildPublicUrl(safeFolder, safeFilename) : null;
+      let url = expose ? buildPublicUrl(safeFolder, stored.filename) : null;
       
+      res.set('ETag', stored.etag);
       return res.json({
         status: 'ok',
         action: 'file_uploaded',
         visibility,
         url,
         folder: safeFolder,
-        file: safeFilename,
-        message: 'File uploaded'
+        file: stored.filename,
+        message: 'File uploaded',
+        sha256: stored.sha256,
+        md5: stored.md5,
+        metadata: describeMeta(stored.meta)
       });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
@@ -95,50 +646,134 @@ router.post('/upload', authMiddleware, async (req, res) => {
   }
 });
 
-// Create folder endpoint
-router.post('/mkdir', authMiddleware, async (req, res) => {
-  try {
-    const { folder, expose = false } = req.body;
-    
-    if (!folder) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Folder name is required'
+/**
+ * Reads the archive and options of an extract request, from a binary or multipart/form-data body
+ * A multipart body must send its fields before the single archive part
+ *
+ * @param {Object} req - Express request
+ * @param {Function} onArchive - Async callback receiving { folder, archiveName, format, expose, onConflict, tags, stream }
+ * @returns {Promise<*>} The callback's result
+ * @throws {HttpError} 400 if the folder or the archive is missing, or more than one archive is sent
+ */
+async function receiveExtractRequest(req, onArchive) {
+  if (req.is('multipart/form-data')) {
+    let archives = 0;
+    const { results } = await receiveMultipart(req, async ({ fields, filename, stream }) => {
+      archives++;
+      if (archives > 1) {
+        throw new HttpError(400, 'Send one archive per request');
+      }
+      if (!fields.folder) {
+        throw new HttpError(400, 'Missing required field: folder (send it before the archive)');
+      }
+      
+      return onArchive({
+        folder: fields.folder,
+        archiveName: filename,
+        format: fields.format,
+        expose: fields.expose === 'true',
+        onConflict: fields.onConflict,
+        tags: fields.tags,
+        stream
       });
-    }
+    });
     
+    if (results.length === 0) {
+      throw new HttpError(400, 'No archive in multipart upload');
+    }
+    return results[0];
+  }
+  
+  if (req.headers['content-type'] !== 'application/octet-stream') {
+    throw new HttpError(400, 'Send the archive as application/octet-stream or multipart/form-data');
+  }
+  
+  if (!req.headers['x-folder']) {
+    throw new HttpError(400, 'Missing required header: X-Folder');
+  }
+  
+  return onArchive({
+    folder: req.headers['x-folder'],
+    archiveName: req.headers['x-filename'] || null,
+    format: req.headers['x-format'],
+    expose: req.headers['x-expose'] === 'true',
+    onConflict: req.headers['x-on-conflict'],
+    tags: req.headers['x-tags'],
+    stream: req
+  });
+}
+
+/**
+ * Extract endpoint - unpacks an uploaded ZIP or tar.gz archive into a folder
+ * Accepts the archive as a binary body or as the file part of a multipart/form-data upload
+ */
+router.post('/extract', authMiddleware, async (req, res) => {
+  try {
     try {
-      // Validate folder path
-      const { folder: safeFolder } = validatePath(folder);
-      
-      // Determine storage location based on exposure
-      const baseDir = expose ? 'public' : 'private';
-      
-      // Create folder
-      const folderPath = path.join(baseDir, safeFolder);
-      await fs.ensureDir(folderPath);
-      
-      // Handle exposure
-      let visibility = expose ? 'exposed' : 'hidden';
-      let url = expose ? buildPublicUrl(safeFolder) : null;
+      const result = await receiveExtractRequest(req, async ({ folder, archiveName, format, expose, onConflict, tags, stream }) => {
+        const { folder: safeFolder } = validatePath(folder);
+        authorize(req, 'upload', safeFolder);
+        
+        // Validate up front so a bad value fails before the archive is received
+        uploadMeta(req, null, { tags });
+        
+        // Reject oversized archives before writing anything
+        const declaredSize = parseInt(req.headers['content-length'], 10) || 0;
+        if (stream === req && declaredSize > UPLOAD_MAX_BYTES) {
+          throw new HttpError(413, `File exceeds maximum upload size of ${UPLOAD_MAX_BYTES} bytes`);
+        }
+        
+        const extracted = await extractArchive(stream, safeFolder, {
+          format,
+          expose,
+          onConflict,
+          metaFor: name => uploadMeta(req, name, { tags })
+        });
+        
+        const files = [];
+        for (const { name, folder: fileFolder, stored } of extracted.files) {
+          await recordAudit(req, {
+            action: 'archive_extracted',
+            folder: fileFolder,
+            file: stored.filename,
+            size: stored.size,
+            details: { archive: archiveName, entry: name }
+          });
+          
+          files.push({
+            entry: name,
+            folder: fileFolder,
+            file: stored.filename,
+            path: `${fileFolder}/${stored.filename}`,
+            size: stored.size,
+            url: expose ? buildPublicUrl(fileFolder, stored.filename) : null,
+            sha256: stored.sha256
+          });
+        }
+        
+        return { safeFolder, expose, format: extracted.format, files, skipped: extracted.skipped };
+      });
       
       return res.json({
         status: 'ok',
-        action: 'folder_created',
-        visibility,
-        url,
-        folder: safeFolder,
+        action: 'archive_extracted',
+        visibility: result.expose ? 'exposed' : 'hidden',
+        url: result.expose ? buildPublicUrl(result.safeFolder) : null,
+        folder: result.safeFolder,
         file: null,
-        message: 'Folder created'
+        message: `${result.files.length} files extracted`,
+        format: result.format,
+        files: result.files,
+        skipped: result.skipped
       });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Create folder error:', error);
+    console.error('Extract error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -146,93 +781,1728 @@ router.post('/mkdir', authMiddleware, async (req, res) => {
   }
 });
 
-// Delete file or folder endpoint
-router.delete('/delete/:folder/:filename?', authMiddleware, async (req, res) => {
+// Fetch endpoint - downloads a file from a URL and stores it like an upload
+router.post('/fetch', authMiddleware, async (req, res) => {
   try {
-    const { folder, filename } = req.params;
+    const { url: sourceUrl, folder, filename, headers, expose = false, onConflict, sha256, md5, mimetype, tags, custom, expiresIn, expiresAt } = req.body || {};
+    
+    if (!sourceUrl || !folder) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: url, folder'
+      });
+    }
     
     try {
-      // If filename is provided, delete file
+      const { folder: safeFolder } = validatePath(folder);
+      authorize(req, 'upload', safeFolder);
+      const expected = expectedDigests({ sha256, md5 });
+      const requestHeaders = validateHeaders(headers);
+      
+      // Validate up front so a bad value fails before anything is downloaded
       if (filename) {
-        const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
-        
-        // Check both public and private directories
-        const publicPath = path.join('public', safeFolder, safeFilename);
-        const privatePath = path.join('private', safeFolder, safeFilename);
-        
-        // Check if file exists in either location
-        let filePath = null;
-        if (await fs.pathExists(publicPath)) {
-          filePath = publicPath;
-        } else if (await fs.pathExists(privatePath)) {
-          filePath = privatePath;
-        }
-        
-        if (!filePath) {
-          return res.status(404).json({
-            status: 'error',
-            message: 'File not found'
-          });
+        validatePath(safeFolder, filename);
+      }
+      uploadMeta(req, filename, { mimetype, tags, custom, expiresIn, expiresAt });
+      
+      const { stored, source } = await fetchRemote(sourceUrl, { headers: requestHeaders }, async (response) => {
+        const name = filename || response.filename;
+        if (!name) {
+          throw new HttpError(400, 'No filename in the URL; send one in the filename field');
         }
         
-        // Delete file
-        await fs.remove(filePath);
-        
-        return res.json({
-          status: 'ok',
-          action: 'file_deleted',
-          visibility: 'hidden',
-          url: null,
-          folder: safeFolder,
-          file: safeFilename,
-          message: 'File deleted'
-        });
-      } 
-      // Otherwise delete folder
-      else {
-        const { folder: safeFolder } = validatePath(folder);
-        
-        // Check both public and private directories
-        const publicPath = path.join('public', safeFolder);
-        const privatePath = path.join('private', safeFolder);
-        
-        // Check if folder exists in either location
-        let folderExists = false;
-        if (await fs.pathExists(publicPath)) {
-          await fs.remove(publicPath);
-          folderExists = true;
+        let safeFilename;
+        try {
+          ({ filename: safeFilename } = validatePath(safeFolder, name));
+        } catch (error) {
+          throw new HttpError(400, `${error.message} "${name}"; send a valid name in the filename field`);
         }
         
-        if (await fs.pathExists(privatePath)) {
-          await fs.remove(privatePath);
-          folderExists = true;
+        // Reject oversized downloads before writing anything
+        if (response.size > UPLOAD_MAX_BYTES) {
+          throw new HttpError(413, `File exceeds maximum upload size of ${UPLOAD_MAX_BYTES} bytes`);
         }
         
-        if (!folderExists) {
-          return res.status(404).json({
-            status: 'error',
-            message: 'Folder not found'
-          });
-        }
+        // Servers send application/octet-stream when they do not know the type
+        const servedType = response.contentType && !response.contentType.startsWith('application/octet-stream')
+          ? response.contentType
+          : undefined;
+        const meta = uploadMeta(req, name, { mimetype: mimetype || servedType, tags, custom, expiresIn, expiresAt });
         
-        return res.json({
-          status: 'ok',
-          action: 'folder_deleted',
-          visibility: 'hidden',
-          url: null,
-          folder: safeFolder,
-          file: null,
-          message: 'Folder and contents deleted'
-        });
-      }
+        return {
+          source: response.url,
+          stored: await storeFile(safeFolder, safeFilename, response.stream, {
+            expose,
+            maxBytes: UPLOAD_MAX_BYTES,
+            size: response.size || 0,
+            expected,
+            meta,
+            onConflict,
+            ifMatch: req.headers['if-match'],
+            ifNoneMatch: req.headers['if-none-match']
+          })
+        };
+      });
+      await recordAudit(req, {
+        action: 'file_uploaded',
+        folder: safeFolder,
+        file: stored.filename,
+        size: stored.size,
+        details: { source }
+      });
+      
+      res.set('ETag', stored.etag);
+      return res.json({
+        status: 'ok',
+        action: 'file_uploaded',
+        visibility: expose ? 'exposed' : 'hidden',
+        url: expose ? buildPublicUrl(safeFolder, stored.filename) : null,
+        folder: safeFolder,
+        file: stored.filename,
+        message: 'File fetched',
+        sha256: stored.sha256,
+        md5: stored.md5,
+        metadata: describeMeta(stored.meta),
+        source
+      });
     } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create resumable upload session endpoint
+router.post('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const { folder, filename, size, expose = false, onConflict = 'overwrite', sha256, md5, mimetype, tags, custom, expiresIn, expiresAt } = req.body;
+    
+    if (!folder || !filename || size === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: folder, filename, size'
+      });
+    }
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
+      authorize(req, 'upload', safeFolder);
+      
+      const totalSize = Number(size);
+      
+      if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+        throw new Error('Size must be a positive whole number of bytes');
+      }
+      
+      if (totalSize > UPLOAD_MAX_BYTES) {
+        throw new HttpError(413, `File exceeds maximum upload size of ${UPLOAD_MAX_BYTES} bytes`);
+      }
+      
+      if (!CONFLICT_MODES.includes(onConflict)) {
+        throw new Error(`onConflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+      }
+      
+      const session = await createSession({
+        folder: safeFolder,
+        filename: safeFilename,
+        size: totalSize,
+        expose: Boolean(expose),
+        onConflict,
+        expected: expectedDigests({ sha256, md5 }),
+        meta: uploadMeta(req, filename, { mimetype, tags, custom, expiresIn, expiresAt })
+      });
+      
+      return res.status(201).json({
+        status: 'ok',
+        action: 'upload_session_created',
+        visibility: session.expose ? 'exposed' : 'hidden',
+        url: null,
+        folder: safeFolder,
+        file: safeFilename,
+        message: 'Upload session created',
+        upload: describeSession(session, 0)
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Append chunk to upload session endpoint
+router.put('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const { session: current } = await getSession(req.params.id);
+    authorize(req, 'upload', current.folder);
+    
+    const { session, offset } = await appendChunk(req.params.id, req.headers['content-range'], req);
+    
+    return res.json({
+      status: 'ok',
+      action: 'upload_chunk_received',
+      visibility: session.expose ? 'exposed' : 'hidden',
+      url: null,
+      folder: session.folder,
+      file: session.filename,
+      message: offset === session.size ? 'All bytes received' : 'Chunk received',
+      upload: describeSession(session, offset)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('Upload chunk error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Upload session status endpoint
+router.get('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const { session, offset } = await getSession(req.params.id);
+    authorize(req, 'upload', session.folder);
+    
+    return res.json({
+      status: 'ok',
+      action: 'upload_session_status',
+      visibility: session.expose ? 'exposed' : 'hidden',
+      url: null,
+      folder: session.folder,
+      file: session.filename,
+      message: 'Upload session found',
+      upload: describeSession(session, offset)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('Upload session status error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Complete upload session endpoint
+router.post('/uploads/:id/complete', authMiddleware, async (req, res) => {
+  try {
+    const { session: current } = await getSession(req.params.id);
+    authorize(req, 'upload', current.folder);
+    
+    const { session, file } = await completeSession(req.params.id, {
+      ifMatch: req.headers['if-match'],
+      ifNoneMatch: req.headers['if-none-match'],
+      expected: expectedDigests({ sha256: req.headers['x-checksum-sha256'], md5: req.headers['content-md5'] })
+    });
+    await recordAudit(req, {
+      action: 'file_uploaded',
+      folder: session.folder,
+      file: file.filename,
+      size: file.size,
+      details: { uploadId: session.id }
+    });
+    
+    res.set('ETag', file.etag);
+    return res.json({
+      status: 'ok',
+      action: 'file_uploaded',
+      visibility: session.expose ? 'exposed' : 'hidden',
+      url: session.expose ? buildPublicUrl(session.folder, file.filename) : null,
+      folder: session.folder,
+      file: file.filename,
+      message: 'File uploaded',
+      sha256: file.sha256,
+      md5: file.md5,
+      metadata: describeMeta(file.meta)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('Complete upload session error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create folder endpoint
+router.post('/mkdir', authMiddleware, async (req, res) => {
+  try {
+    const { folder, expose = false, expiresIn, expiresAt } = req.body;
+    
+    if (!folder) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Folder name is required'
+      });
+    }
+    
+    try {
+      // Validate folder path
+      const { folder: safeFolder } = validatePath(folder);
+      authorize(req, 'upload', safeFolder);
+      const expiry = parseExpiry({ expiresIn, expiresAt });
+      
+      // Determine storage location based on exposure
+      const baseDir = expose ? 'public' : 'private';
+      
+      // Create folder
+      const folderPath = rootPath(baseDir, safeFolder);
+      await fs.ensureDir(folderPath);
+      
+      // An existing folder keeps its expiry unless a new one is given; null clears it
+      if (expiry !== undefined) {
+        await writeFolderMeta(safeFolder, { ...await readFolderMeta(safeFolder), expiresAt: expiry });
+      }
+      const { expiresAt: folderExpiresAt = null } = await readFolderMeta(safeFolder);
+      await recordAudit(req, { action: 'folder_created', folder: safeFolder, details: expiry ? { expiresAt: expiry } : undefined });
+      
+      // Handle exposure
+      let visibility = expose ? 'exposed' : 'hidden';
+      let url = expose ? buildPublicUrl(safeFolder) : null;
+      
+      return res.json({
+        status: 'ok',
+        action: 'folder_created',
+        visibility,
+        url,
+        folder: safeFolder,
+        file: null,
+        message: 'Folder created',
+        expiresAt: folderExpiresAt
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Create folder error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete file or folder endpoint (moves it to the trash unless ?permanent=true)
+router.delete('/delete/*', authMiddleware, async (req, res) => {
+  try {
+    const target = req.params[0];
+    const permanent = req.query.permanent === 'true';
+    
+    try {
+      // Resolve the path to an existing folder, or a file inside a folder
+      const { folder: safeFolder, filename: safeFilename } = await resolveTarget(target);
+      authorize(req, 'delete', safeFolder);
+      
+      // If filename is provided, delete file
+      if (safeFilename) {
+        const found = await findFile(safeFolder, safeFilename);
+        
+        if (!found) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'File not found'
+          });
+        }
+        
+        let trash = null;
+        
+        if (permanent) {
+          // Delete file, keeping its size for the audit log
+          const { size } = await fs.stat(found.filePath);
+          await fs.remove(found.filePath);
+          await removeFileState(safeFolder, safeFilename);
+          await recordAudit(req, { action: 'file_deleted', folder: safeFolder, file: safeFilename, size, details: { permanent } });
+        } else {
+          // Move file to the trash, remembering its visibility for a restore
+          const item = await trashItem({ folder: safeFolder, filename: safeFilename, deletedBy: req.token.name });
+          trash = describeTrashItem(item);
+          await recordAudit(req, { action: 'file_deleted', folder: safeFolder, file: safeFilename, size: item.size, details: { trashId: item.id } });
+        }
+        
+        return res.json({
+          status: 'ok',
+          action: 'file_deleted',
+          visibility: 'hidden',
+          url: null,
+          folder: safeFolder,
+          file: safeFilename,
+          message: permanent ? 'File deleted' : 'File moved to trash',
+          trash
+        });
+      } 
+      // Otherwise delete folder
+      else {
+        // Check if folder exists in either location
+        const { inPublic, inPrivate } = await findFolder(safeFolder);
+        
+        if (!inPublic && !inPrivate) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Folder not found'
+          });
+        }
+        
+        let trash = null;
+        
+        if (permanent) {
+          // Delete both the public and private copies
+          await fs.remove(rootPath('public', safeFolder));
+          await fs.remove(rootPath('private', safeFolder));
+          await removeFileState(safeFolder);
+          await recordAudit(req, { action: 'folder_deleted', folder: safeFolder, details: { permanent } });
+        } else {
+          // Move both copies to the trash as a single item
+          const item = await trashItem({ folder: safeFolder, deletedBy: req.token.name });
+          trash = describeTrashItem(item);
+          await recordAudit(req, { action: 'folder_deleted', folder: safeFolder, details: { trashId: item.id } });
+        }
+        
+        return res.json({
+          status: 'ok',
+          action: 'folder_deleted',
+          visibility: 'hidden',
+          url: null,
+          folder: safeFolder,
+          file: null,
+          message: permanent ? 'Folder and contents deleted' : 'Folder and contents moved to trash',
+          trash
+        });
+      }
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Delete error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List trash endpoint
+router.get('/trash', authMiddleware, async (req, res) => {
+  try {
+    const { folder } = req.query;
+    
+    try {
+      const safeFolder = folder ? validatePath(folder).folder : null;
+      authorize(req, 'list', safeFolder);
+      
+      // Only show items from the requested folder tree that the token is allowed to list
+      const items = (await listTrash()).filter(item =>
+        (!safeFolder || item.folder === safeFolder || item.folder.startsWith(`${safeFolder}/`))
+        && req.token.allows('list', item.folder)
+      );
+      
+      return res.json({
+        status: 'ok',
+        action: 'trash_listed',
+        visibility: null,
+        url: null,
+        folder: safeFolder,
+        file: null,
+        message: `${items.length} items in trash`,
+        items: items.map(describeTrashItem)
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('List trash error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Restore from trash endpoint
+router.post('/trash/restore', authMiddleware, async (req, res) => {
+  try {
+    const { id, overwrite = false } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required field: id'
+      });
+    }
+    
+    try {
+      const current = await getTrashItem(id);
+      authorize(req, 'delete', current.folder);
+      
+      const item = await restoreItem(id, { overwrite: Boolean(overwrite) });
+      await recordAudit(req, { action: 'trash_restored', folder: item.folder, file: item.file, size: item.size, details: { trashId: item.id } });
+      
+      // Set URL for exposed files, and for folders with any exposed copy
+      let url = null;
+      if (item.type === 'file' && item.visibility === 'exposed') {
+        url = buildPublicUrl(item.folder, item.file);
+      } else if (item.type === 'folder' && item.visibility !== 'hidden') {
+        url = buildPublicUrl(item.folder);
+      }
+      
+      return res.json({
+        status: 'ok',
+        action: 'trash_restored',
+        visibility: item.visibility,
+        url,
+        folder: item.folder,
+        file: item.file,
+        message: item.type === 'file' ? 'File restored' : 'Folder restored'
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Restore trash error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Purge trash endpoint (one item with ?id=, or everything the token may delete)
+router.delete('/trash', authMiddleware, async (req, res) => {
+  try {
+    const { id, folder } = req.query;
+    
+    try {
+      const safeFolder = folder ? validatePath(folder).folder : null;
+      authorize(req, 'delete', safeFolder);
+      
+      let items;
+      if (id) {
+        const item = await getTrashItem(id);
+        authorize(req, 'delete', item.folder);
+        items = [item];
+      } else {
+        items = (await listTrash()).filter(item =>
+          (!safeFolder || item.folder === safeFolder || item.folder.startsWith(`${safeFolder}/`))
+          && req.token.allows('delete', item.folder)
+        );
+      }
+      
+      for (const item of items) {
+        await purgeTrashItem(item);
+        await recordAudit(req, { action: 'trash_purged', folder: item.folder, file: item.file, size: item.size, details: { trashId: item.id } });
+      }
+      
+      return res.json({
+        status: 'ok',
+        action: 'trash_purged',
+        visibility: null,
+        url: null,
+        folder: safeFolder,
+        file: null,
+        message: `${items.length} items permanently deleted`,
+        purged: items.map(item => item.id)
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Expose file or folder endpoint
+router.post('/expose/*', authMiddleware, async (req, res) => {
+  try {
+    const target = req.params[0];
+    
+    try {
+      // Resolve the path to an existing folder, or a file inside a folder
+      const { folder: safeFolder, filename: safeFilename } = await resolveTarget(target);
+      authorize(req, 'expose', safeFolder);
+      
+      // If filename is provided, expose only that file
+      if (safeFilename) {
+        const found = await findFile(safeFolder, safeFilename);
+        
+        if (!found) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'File not found'
+          });
+        }
+        
+        // Move file from private to public unless it is already exposed
+        if (!found.isExposed) {
+          await fs.move(found.filePath, rootPath('public', safeFolder, safeFilename), { overwrite: true });
+        }
+        await recordAudit(req, { action: 'file_exposed', folder: safeFolder, file: safeFilename });
+        
+        return res.json({
+          status: 'ok',
+          action: 'file_exposed',
+          visibility: 'exposed',
+          url: buildPublicUrl(safeFolder, safeFilename),
+          folder: safeFolder,
+          file: safeFilename,
+          message: 'File is now public'
+        });
+      }
+      
+      // Otherwise expose the whole folder
+      const privatePath = rootPath('private', safeFolder);
+      const publicPath = rootPath('public', safeFolder);
+      
+      // Check if folder exists in private directory
+      if (await fs.pathExists(privatePath)) {
+        // Merge folder from private into public, keeping files that are already exposed
+        await mergeDirectory(privatePath, publicPath);
+      } 
+      // Check if it already exists in public directory
+      else if (await fs.pathExists(publicPath)) {
+        // Already exposed, do nothing
+      } 
+      else {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Folder not found'
+        });
+      }
+      
+      await recordAudit(req, { action: 'folder_exposed', folder: safeFolder });
+      
+      // Build public URL
+      const url = buildPublicUrl(safeFolder);
+      
+      return res.json({
+        status: 'ok',
+        action: 'folder_exposed',
+        visibility: 'exposed',
+        url,
+        folder: safeFolder,
+        file: null,
+        message: 'Folder is now public'
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Expose error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Unexpose file or folder endpoint
+router.post('/unexpose/*', authMiddleware, async (req, res) => {
+  try {
+    const target = req.params[0];
+    
+    try {
+      // Resolve the path to an existing folder, or a file inside a folder
+      const { folder: safeFolder, filename: safeFilename } = await resolveTarget(target);
+      authorize(req, 'expose', safeFolder);
+      
+      // If filename is provided, hide only that file
+      if (safeFilename) {
+        const found = await findFile(safeFolder, safeFilename);
+        
+        if (!found) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'File not found'
+          });
+        }
+        
+        // Move file from public to private unless it is already hidden
+        if (found.isExposed) {
+          await fs.move(found.filePath, rootPath('private', safeFolder, safeFilename), { overwrite: true });
+        }
+        await recordAudit(req, { action: 'file_unexposed', folder: safeFolder, file: safeFilename });
+        
+        return res.json({
+          status: 'ok',
+          action: 'file_unexposed',
+          visibility: 'hidden',
+          url: null,
+          folder: safeFolder,
+          file: safeFilename,
+          message: 'File is no longer public'
+        });
+      }
+      
+      // Otherwise hide the whole folder
+      const publicPath = rootPath('public', safeFolder);
+      const privatePath = rootPath('private', safeFolder);
+      
+      // Check if folder exists in public directory
+      if (await fs.pathExists(publicPath)) {
+        // Merge folder from public into private, keeping files that are already hidden
+        await mergeDirectory(publicPath, privatePath);
+      } 
+      // Check if it already exists in private directory
+      else if (await fs.pathExists(privatePath)) {
+        // Already unexposed, do nothing
+      } 
+      else {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Folder not found'
+        });
+      }
+      
+      await recordAudit(req, { action: 'folder_unexposed', folder: safeFolder });
+      
+      return res.json({
+        status: 'ok',
+        action: 'folder_unexposed',
+        visibility: 'hidden',
+        url: null,
+        folder: safeFolder,
+        file: null,
+        message: 'Folder is no longer public'
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Unexpose error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Rename file or folder endpoint
+router.patch('/rename', authMiddleware, async (req, res) => {
+  try {
+    const { type, folder, filename, newName, onConflict = 'overwrite' } = req.body;
+    
+    if (!type || !folder || !newName) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: type, folder, newName'
+      });
+    }
+    
+    if (type !== 'file' && type !== 'folder') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Type must be "file" or "folder"'
+      });
+    }
+    
+    if (type === 'file' && !filename) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Filename is required when type is "file"'
+      });
+    }
+    
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+      });
+    }
+    
+    try {
+      // Rename file
+      if (type === 'file') {
+        const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
+        const { filename: requestedName } = validatePath(folder, newName);
+        authorize(req, 'rename', safeFolder);
+        
+        // Check and move under the folder lock, so concurrent writes cannot take the new name in between
+        const renamed = await withFolderLock(safeFolder, async () => {
+          const found = await findFile(safeFolder, safeFilename);
+          
+          if (!found) {
+            return null;
+          }
+          
+          // If-Match and If-None-Match refer to the file being renamed
+          await checkPreconditions(found, {
+            ifMatch: req.headers['if-match'],
+            ifNoneMatch: req.headers['if-none-match']
+          });
+          
+          // Decide whether to replace, refuse or avoid an existing file with the new name
+          const safeNewName = requestedName === safeFilename
+            ? requestedName
+            : await resolveWriteTarget(safeFolder, requestedName, { onConflict });
+          
+          // Set new path in the same directory (public or private)
+          const baseDir = found.isExposed ? 'public' : 'private';
+          const newPath = rootPath(baseDir, safeFolder, safeNewName);
+          
+          // Keep any file being replaced as a prior version of the new name
+          if (safeNewName !== safeFilename) {
+            await archiveExisting(safeFolder, safeNewName);
+          }
+          
+          // Rename file, taking its version history and metadata along
+          await fs.move(found.filePath, newPath, { overwrite: true });
+          if (safeNewName !== safeFilename) {
+            await moveFileState(safeFolder, safeFilename, safeFolder, safeNewName);
+          }
+          
+          // Drop any file with the new name left behind in the other root
+          const stalePath = rootPath(found.isExposed ? 'private' : 'public', safeFolder, safeNewName);
+          if (await fs.pathExists(stalePath) && (await fs.stat(stalePath)).isFile()) {
+            await fs.remove(stalePath);
+          }
+          
+          return { isExposed: found.isExposed, safeNewName, stats: await fs.stat(newPath) };
+        });
+        
+        if (!renamed) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'File not found'
+          });
+        }
+        
+        const { isExposed, safeNewName, stats } = renamed;
+        
+        await recordAudit(req, {
+          action: 'renamed',
+          folder: safeFolder,
+          file: safeNewName,
+          size: stats.size,
+          details: { from: safeFilename }
+        });
+        
+        // Set visibility and URL
+        const visibility = isExposed ? 'exposed' : 'hidden';
+        const url = isExposed ? buildPublicUrl(safeFolder, safeNewName) : null;
+        
+        res.set('ETag', fileETag(stats));
+        return res.json({
+          status: 'ok',
+          action: 'renamed',
+          visibility,
+          url,
+          folder: safeFolder,
+          file: safeNewName,
+          message: 'File renamed successfully'
+        });
+      } 
+      // Rename folder
+      else {
+        const { folder: safeFolder } = validatePath(folder);
+        const { folder: newSegment } = validatePath(newName);
+        
+        // Renaming keeps the folder under the same parent; only the last segment changes
+        if (newSegment.includes('/')) {
+          throw new Error('New folder name must be a single segment');
+        }
+        
+        const parent = path.posix.dirname(safeFolder);
+        const prefix = parent === '.' ? '' : `${parent}/`;
+        
+        authorize(req, 'rename', safeFolder);
+        authorize(req, 'rename', `${prefix}${newSegment}`);
+        
+        // Check and move under the parent folder's lock
+        const renamed = await withFolderLock(parent === '.' ? '' : parent, async () => {
+          const { inPublic, inPrivate } = await findFolder(safeFolder);
+          
+          if (!inPublic && !inPrivate) {
+            return null;
+          }
+          
+          const folderExists = async (name) => {
+            const existing = await findFolder(`${prefix}${name}`);
+            return existing.inPublic || existing.inPrivate;
+          };
+          
+          let safeNewName = `${prefix}${newSegment}`;
+          let replaced = null;
+          
+          if (safeNewName !== safeFolder && await folderExists(newSegment)) {
+            if (onConflict === 'fail') {
+              throw new HttpError(409, `Folder "${safeNewName}" already exists`);
+            }
+            
+            if (onConflict === 'rename') {
+              safeNewName = `${prefix}${await availableName(newSegment, folderExists)}`;
+              authorize(req, 'rename', safeNewName);
+            } else {
+              // The folder being replaced goes to the trash rather than being merged or lost
+              replaced = await trashItem({ folder: safeNewName, deletedBy: req.token.name });
+            }
+          }
+          
+          // Rename the folder in every root it exists in
+          if (inPublic) {
+            await fs.move(rootPath('public', safeFolder), rootPath('public', safeNewName), { overwrite: true });
+          }
+          if (inPrivate) {
+            await fs.move(rootPath('private', safeFolder), rootPath('private', safeNewName), { overwrite: true });
+          }
+          await moveFileState(safeFolder, null, safeNewName, null);
+          
+          return { inPublic, inPrivate, safeNewName, replaced };
+        });
+        
+        if (!renamed) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Folder not found'
+          });
+        }
+        
+        const { inPublic, inPrivate, safeNewName, replaced } = renamed;
+        
+        await recordAudit(req, {
+          action: 'renamed',
+          folder: safeNewName,
+          details: replaced ? { from: safeFolder, replacedTrashId: replaced.id } : { from: safeFolder }
+        });
+        
+        // Set visibility and URL
+        const visibility = folderVisibility(inPublic, inPrivate);
+        const url = inPublic ? buildPublicUrl(safeNewName) : null;
+        
+        return res.json({
+          status: 'ok',
+          action: 'renamed',
+          visibility,
+          url,
+          folder: safeNewName,
+          file: null,
+          message: 'Folder renamed successfully'
+        });
+      }
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Rename error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Copy file or folder endpoint
+router.post('/copy', authMiddleware, async (req, res) => {
+  try {
+    return await sendTransfer(req, res, 'copy');
+  } catch (error) {
+    console.error('Copy error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move file or folder endpoint, across folders and between public and private
+router.post('/move', authMiddleware, async (req, res) => {
+  try {
+    return await sendTransfer(req, res, 'move');
+  } catch (error) {
+    console.error('Move error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Batch endpoint: runs several operations in order, each checked and recorded as if sent on its own
+router.post('/batch', authMiddleware, async (req, res) => {
+  try {
+    const { operations, onError = 'stop' } = req.body || {};
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'operations must be a non-empty array'
+      });
+    }
+    
+    if (operations.length > BATCH_MAX_OPERATIONS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A batch can hold at most ${BATCH_MAX_OPERATIONS} operations`
+      });
+    }
+    
+    if (!BATCH_ERROR_MODES.includes(onError)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `onError must be one of: ${BATCH_ERROR_MODES.join(', ')}`
+      });
+    }
+    
+    // Reject malformed batches before running anything
+    const invalid = operations.findIndex(operation => !operation || !Object.prototype.hasOwnProperty.call(BATCH_OPERATIONS, operation.op));
+    if (invalid !== -1) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Operation #${invalid + 1} must have an op of: ${Object.keys(BATCH_OPERATIONS).join(', ')}`
+      });
+    }
+    
+    const results = [];
+    let failed = 0;
+    
+    for (const operation of operations) {
+      if (failed > 0 && onError === 'stop') {
+        results.push({ op: operation.op, statusCode: null, status: 'skipped', message: 'Not run after an earlier operation failed' });
+        continue;
+      }
+      
+      const { statusCode, body } = await runBatchOperation(req, operation);
+      if (statusCode >= 400) {
+        failed++;
+      }
+      results.push({ op: operation.op, statusCode, ...body });
+    }
+    
+    const succeeded = results.filter(result => result.statusCode !== null && result.statusCode < 400).length;
+    
+    return res.status(failed > 0 ? 207 : 200).json({
+      status: failed > 0 ? 'error' : 'ok',
+      action: 'batch_completed',
+      visibility: null,
+      url: null,
+      folder: null,
+      file: null,
+      message: `${succeeded} of ${operations.length} operations succeeded`,
+      succeeded,
+      failed,
+      skipped: operations.length - succeeded - failed,
+      results
+    });
+  } catch (error) {
+    console.error('Batch error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List all folders endpoint
+router.get('/list', authMiddleware, async (req, res) => {
+  try {
+    const recursive = req.query.recursive === 'true';
+    
+    authorize(req, 'list');
+    const pageOptions = parsePageOptions(req.query, { sortFields: ['name'] });
+    
+    // Ensure directories exist
+    await fs.ensureDir('public');
+    await fs.ensureDir('private');
+    
+    // Folders that exist in both directories are merged into a single mixed entry
+    const { folders: allFolders } = await listEntries('', { recursive });
+    
+    // Only show folders the token is allowed to list
+    const allowed = allFolders.filter(folder => req.token.allows('list', folder.name));
+    const { folders: folderList, total, nextCursor } = pageFolders(allowed, pageOptions);
+    
+    return res.json({
+      status: 'ok',
+      action: 'root_listed',
+      visibility: null,
+      url: null,
+      folder: null,
+      file: null,
+      message: 'Folders listed',
+      folders: folderList,
+      total,
+      nextCursor
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('List all folders error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List folder contents endpoint
+router.get('/list/*', authMiddleware, async (req, res) => {
+  try {
+    const folder = req.params[0];
+    const recursive = req.query.recursive === 'true';
+    
+    try {
+      const { folder: safeFolder } = validatePath(folder);
+      authorize(req, 'list', safeFolder);
+      const pageOptions = parsePageOptions(req.query);
+      
+      const { inPublic, inPrivate } = await findFolder(safeFolder);
+      
+      if (!inPublic && !inPrivate) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Folder not found'
+        });
+      }
+      
+      // Collect files and subfolders from both roots, each with its own visibility
+      // Only the files on the requested page have their details read
+      const { files: entries, folders: folderList } = await listEntries(safeFolder, { recursive });
+      const { files: fileList, total, nextCursor } = await pageFiles(entries, pageOptions);
+      
+      // Set visibility and URL
+      const visibility = folderVisibility(inPublic, inPrivate);
+      const url = inPublic ? buildPublicUrl(safeFolder) : null;
+      
+      return res.json({
+        status: 'ok',
+        action: 'folder_listed',
+        visibility,
+        url,
+        folder: safeFolder,
+        file: null,
+        message: 'Folder listed',
+        files: fileList,
+        folders: folderList,
+        total,
+        nextCursor
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('List folder error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Search files endpoint
+router.get('/search', authMiddleware, async (req, res) => {
+  try {
+    const { folder } = req.query;
+    
+    try {
+      const safeFolder = folder ? validatePath(folder).folder : null;
+      authorize(req, 'list', safeFolder);
+      
+      const filters = parseFileFilters(req.query);
+      const pageOptions = parsePageOptions(req.query, { defaultLimit: 100 });
+      
+      if (safeFolder) {
+        const { inPublic, inPrivate } = await findFolder(safeFolder);
+        
+        if (!inPublic && !inPrivate) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Folder not found'
+          });
+        }
+      }
+      
+      // Search the whole folder tree, keeping only files in folders the token may list
+      const { files: allEntries } = await listEntries(safeFolder || '', { recursive: true });
+      const entries = allEntries.filter(entry => entry.folder && req.token.allows('list', entry.folder));
+      const { files, total, nextCursor } = await pageFiles(entries, { filters, ...pageOptions });
+      
+      // Names are relative to the searched folder; the full path is what other endpoints take
+      const results = files.map(file => ({ ...file, path: [safeFolder, file.name].filter(Boolean).join('/') }));
+      
+      return res.json({
+        status: 'ok',
+        action: 'files_searched',
+        visibility: null,
+        url: null,
+        folder: safeFolder,
+        file: null,
+        message: `${total} matching files`,
+        files: results,
+        total,
+        nextCursor
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Search error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download file endpoint (public or private)
+router.get('/download/*', authMiddleware, async (req, res) => {
+  try {
+    const filePath = req.params[0];
+    const inline = req.query.inline === 'true';
+    const { version } = req.query;
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(filePath);
+      authorize(req, 'list', safeFolder);
+      
+      // Serve a prior version instead of the current file
+      if (version) {
+        const versionPath = await getVersionPath(safeFolder, safeFilename, version);
+        return await sendDownload(res, versionPath, safeFolder, safeFilename, {
+          disposition: inline ? 'inline' : 'attachment',
+          cacheControl: await cacheControlFor(safeFolder, 'private')
+        });
+      }
+      
+      const found = await findFile(safeFolder, safeFilename);
+      
+      if (!found) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      if (await isExpired(safeFolder, safeFilename, found.filePath)) {
+        return res.status(410).json({
+          status: 'error',
+          message: 'File has expired'
+        });
+      }
+      
+      return await sendDownload(res, found.filePath, safeFolder, safeFilename, {
+        disposition: inline ? 'inline' : 'attachment',
+        cacheControl: await cacheControlFor(safeFolder, 'private')
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Download file error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get file metadata endpoint
+router.get('/meta/*', authMiddleware, async (req, res) => {
+  try {
+    const filePath = req.params[0];
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(filePath);
+      authorize(req, 'list', safeFolder);
+      
+      const found = await findFile(safeFolder, safeFilename);
+      
+      if (!found) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      const stats = await fs.stat(found.filePath);
+      const etag = fileETag(stats);
+      const meta = await readMeta(safeFolder, safeFilename);
+      
+      res.set('ETag', etag);
+      return res.json({
+        status: 'ok',
+        action: 'metadata_retrieved',
+        visibility: found.isExposed ? 'exposed' : 'hidden',
+        url: found.isExposed ? buildPublicUrl(safeFolder, safeFilename) : null,
+        folder: safeFolder,
+        file: safeFilename,
+        message: 'Metadata retrieved',
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        etag,
+        ...hashesOf(meta, etag),
+        metadata: describeMeta(meta)
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Get metadata error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update file metadata endpoint
+router.patch('/meta/*', authMiddleware, async (req, res) => {
+  try {
+    const filePath = req.params[0];
+    const { mimetype, tags, custom, expiresIn, expiresAt } = req.body || {};
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(filePath);
+      authorize(req, 'upload', safeFolder);
+      
+      const changes = validateMeta({ mimetype, tags, custom, expiresIn, expiresAt });
+      
+      if (Object.keys(changes).length === 0) {
+        throw new Error('Nothing to update: send mimetype, tags, custom, expiresIn or expiresAt');
+      }
+      
+      // Update under the folder lock, so a concurrent upload cannot replace the metadata in between
+      const updated = await withFolderLock(safeFolder, async () => {
+        const found = await findFile(safeFolder, safeFilename);
+        
+        if (!found) {
+          return null;
+        }
+        
+        const current = await readMeta(safeFolder, safeFilename);
+        if (changes.custom) {
+          changes.custom = mergeCustom(current.custom, changes.custom);
+        }
+        
+        return { found, meta: await updateMeta(safeFolder, safeFilename, changes) };
+      });
+      
+      if (!updated) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      await recordAudit(req, { action: 'metadata_updated', folder: safeFolder, file: safeFilename, details: { fields: Object.keys(changes) } });
+      
+      return res.json({
+        status: 'ok',
+        action: 'metadata_updated',
+        visibility: updated.found.isExposed ? 'exposed' : 'hidden',
+        url: updated.found.isExposed ? buildPublicUrl(safeFolder, safeFilename) : null,
+        folder: safeFolder,
+        file: safeFilename,
+        message: 'Metadata updated',
+        metadata: describeMeta(updated.meta)
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Update metadata error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download folder as archive endpoint
+router.get('/archive/*', authMiddleware, async (req, res) => {
+  try {
+    const folder = req.params[0];
+    
+    try {
+      const { folder: safeFolder } = validatePath(folder);
+      authorize(req, 'list', safeFolder);
+      
+      const { inPublic, inPrivate } = await findFolder(safeFolder);
+      
+      if (!inPublic && !inPrivate) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Folder not found'
+        });
+      }
+      
+      // Hidden and exposed files alike, including those in subfolders
+      const { files: entries } = await listEntries(safeFolder, { recursive: true });
+      
+      return await sendArchive(res, safeFolder, entries, req.query);
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Archive folder error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List file versions endpoint
+router.get('/versions/*', authMiddleware, async (req, res) => {
+  try {
+    const filePath = req.params[0];
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(filePath);
+      authorize(req, 'list', safeFolder);
+      
+      const found = await findFile(safeFolder, safeFilename);
+      const versions = await listVersions(safeFolder, safeFilename);
+      
+      // A deleted file's history stays reachable until it is purged
+      if (!found && versions.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      return res.json({
+        status: 'ok',
+        action: 'versions_listed',
+        visibility: found ? (found.isExposed ? 'exposed' : 'hidden') : null,
+        url: found && found.isExposed ? buildPublicUrl(safeFolder, safeFilename) : null,
+        folder: safeFolder,
+        file: safeFilename,
+        message: `${versions.length} prior versions`,
+        versions
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('List versions error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Restore file version endpoint
+router.post('/versions/restore', authMiddleware, async (req, res) => {
+  try {
+    const { folder, filename, version } = req.body;
+    
+    if (!folder || !filename || !version) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: folder, filename, version'
+      });
+    }
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
+      authorize(req, 'upload', safeFolder);
+      
+      const versionPath = await getVersionPath(safeFolder, safeFilename, version);
+      
+      // Keep the current visibility; the current contents become a prior version in turn
+      const found = await findFile(safeFolder, safeFilename);
+      const expose = found ? found.isExposed : false;
+      
+      const { size } = await storeFile(safeFolder, safeFilename, fs.createReadStream(versionPath), { expose });
+      await recordAudit(req, { action: 'version_restored', folder: safeFolder, file: safeFilename, size, details: { version } });
+      
+      return res.json({
+        status: 'ok',
+        action: 'version_restored',
+        visibility: expose ? 'exposed' : 'hidden',
+        url: expose ? buildPublicUrl(safeFolder, safeFilename) : null,
+        folder: safeFolder,
+        file: safeFilename,
+        message: 'Version restored'
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Restore version error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create signed URL endpoint
+router.post('/sign', authMiddleware, async (req, res) => {
+  try {
+    const { folder, filename, ttl } = req.body;
+    
+    if (!folder || !filename) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required fields: folder, filename'
+      });
+    }
+    
+    const ttlSeconds = ttl === undefined ? SIGNED_URL_DEFAULT_TTL : Number(ttl);
+    
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > SIGNED_URL_MAX_TTL) {
+      return res.status(400).json({
+        status: 'error',
+        message: `TTL must be a whole number of seconds between 1 and ${SIGNED_URL_MAX_TTL}`
+      });
+    }
+    
+    try {
+      const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
+      authorize(req, 'expose', safeFolder);
+      
+      const found = await findFile(safeFolder, safeFilename);
+      
+      if (!found) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+      
+      const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+      const url = buildSignedUrl(safeFolder, safeFilename, expires);
+      
+      return res.json({
+        status: 'ok',
+        action: 'url_signed',
+        visibility: found.isExposed ? 'exposed' : 'hidden',
+        url,
+        folder: safeFolder,
+        file: safeFilename,
+        message: 'Signed URL created',
+        expiresAt: new Date(expires * 1000).toISOString()
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Sign URL error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Looks up a webhook the request's token created
+ * Webhooks of other tokens are reported as missing, so their IDs cannot be probed
+ *
+ * @param {Object} req - Express request that passed authMiddleware
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} The webhook descriptor
+ * @throws {HttpError} 404 if there is no such webhook for this token
+ */
+async function ownWebhook(req, id) {
+  const webhook = await getWebhook(id);
+  
+  if (!webhook || webhook.createdBy !== req.token.name) {
+    throw new HttpError(404, 'Webhook not found');
+  }
+  
+  return webhook;
+}
+
+// Register webhook endpoint
+router.post('/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const { url, events, folders, secret } = req.body || {};
+    
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing required field: url'
+      });
+    }
+    
+    try {
+      // Events are only delivered for folders the token can list, so listing is required to subscribe
+      authorize(req, 'list');
+      
+      const webhook = await createWebhook({ url, events, folders, secret }, req.token.name);
+      await recordAudit(req, { action: 'webhook_created', folder: null, details: { webhookId: webhook.id, url: webhook.url } });
+      
+      return res.status(201).json({
+        status: 'ok',
+        action: 'webhook_created',
+        visibility: null,
+        url: null,
+        folder: null,
+        file: null,
+        message: 'Webhook created; store the secret, it is not shown again',
+        webhook: describeWebhook(webhook),
+        secret: webhook.secret
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List webhooks endpoint (only those created by the requesting token)
+router.get('/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(webhook => webhook.createdBy === req.token.name);
+    
+    return res.json({
+      status: 'ok',
+      action: 'webhooks_listed',
+      visibility: null,
+      url: null,
+      folder: null,
+      file: null,
+      message: `${webhooks.length} webhooks`,
+      webhooks: webhooks.map(describeWebhook)
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Webhook delivery log endpoint
+router.get('/webhooks/:id/deliveries', authMiddleware, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    
+    if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
       return res.status(400).json({
+        status: 'error',
+        message: 'Limit must be a whole number between 1 and 1000'
+      });
+    }
+    
+    try {
+      const webhook = await ownWebhook(req, req.params.id);
+      const deliveries = await readDeliveries(webhook.id, { limit });
+      
+      return res.json({
+        status: 'ok',
+        action: 'webhook_deliveries_listed',
+        visibility: null,
+        url: null,
+        folder: null,
+        file: null,
+        message: `${deliveries.length} delivery attempts`,
+        webhook: describeWebhook(webhook),
+        deliveries
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Delete error:', error);
+    console.error('Webhook deliveries error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -240,53 +2510,71 @@ router.delete('/delete/:folder/:filename?', authMiddleware, async (req, res) =>
   }
 });
 
-// Expose folder endpoint
-router.post('/expose/:folder', authMiddleware, async (req, res) => {
+// Delete webhook endpoint
+router.delete('/webhooks/:id', authMiddleware, async (req, res) => {
   try {
-    const { folder } = req.params;
-    
     try {
-      const { folder: safeFolder } = validatePath(folder);
-      const privatePath = path.join('private', safeFolder);
-      const publicPath = path.join('public', safeFolder);
-      
-      // Check if folder exists in private directory
-      if (await fs.pathExists(privatePath)) {
-        // Move folder from private to public
-        await fs.ensureDir(path.dirname(publicPath));
-        await fs.move(privatePath, publicPath, { overwrite: true });
-      } 
-      // Check if it already exists in public directory
-      else if (await fs.pathExists(publicPath)) {
-        // Already exposed, do nothing
-      } 
-      else {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Folder not found'
-        });
-      }
-      
-      // Build public URL
-      const url = buildPublicUrl(safeFolder);
+      const webhook = await ownWebhook(req, req.params.id);
+      await deleteWebhook(webhook.id);
+      await recordAudit(req, { action: 'webhook_deleted', folder: null, details: { webhookId: webhook.id, url: webhook.url } });
       
       return res.json({
         status: 'ok',
-        action: 'folder_exposed',
-        visibility: 'exposed',
-        url,
-        folder: safeFolder,
+        action: 'webhook_deleted',
+        visibility: null,
+        url: null,
+        folder: null,
         file: null,
-        message: 'Folder is now public'
+        message: 'Webhook deleted',
+        webhook: describeWebhook(webhook)
       });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Expose folder error:', error);
+    console.error('Delete webhook error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Storage usage endpoints
+router.get('/usage', authMiddleware, async (req, res) => {
+  try {
+    authorize(req, 'list');
+    
+    // Totals for the whole store would reveal what is stored outside a scoped token's folders
+    if (!req.token.unscoped) {
+      throw new HttpError(403, `Token "${req.token.name}" is not allowed to see usage of the whole store`);
+    }
+    
+    const { usage, quotas } = await describeUsage('');
+    
+    return res.json({
+      status: 'ok',
+      action: 'usage_reported',
+      visibility: null,
+      url: null,
+      folder: null,
+      file: null,
+      message: 'Usage reported',
+      usage,
+      quotas
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('Usage error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -294,50 +2582,40 @@ router.post('/expose/:folder', authMiddleware, async (req, res) => {
   }
 });
 
-// Unexpose folder endpoint
-router.post('/unexpose/:folder', authMiddleware, async (req, res) => {
+router.get('/usage/*', authMiddleware, async (req, res) => {
   try {
-    const { folder } = req.params;
+    const folder = req.params[0];
     
     try {
       const { folder: safeFolder } = validatePath(folder);
-      const publicPath = path.join('public', safeFolder);
-      const privatePath = path.join('private', safeFolder);
+      authorize(req, 'list', safeFolder);
       
-      // Check if folder exists in public directory
-      if (await fs.pathExists(publicPath)) {
-        // Move folder from public to private
-        await fs.ensureDir(path.dirname(privatePath));
-        await fs.move(publicPath, privatePath, { overwrite: true });
-      } 
-      // Check if it already exists in private directory
-      else if (await fs.pathExists(privatePath)) {
-        // Already unexposed, do nothing
-      } 
-      else {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Folder not found'
-        });
-      }
+      // Covers the folder and its subfolders, with every quota that limits writes to it that the token
+      // may see: the store-wide quota only for unscoped tokens, folder quotas for folders it may list
+      const { usage, quotas: allQuotas } = await describeUsage(safeFolder);
+      const quotas = allQuotas.filter(quota => (quota.folder === null
+        ? req.token.unscoped
+        : req.token.allows('list', quota.folder)));
       
       return res.json({
         status: 'ok',
-        action: 'folder_unexposed',
-        visibility: 'hidden',
+        action: 'usage_reported',
+        visibility: null,
         url: null,
         folder: safeFolder,
         file: null,
-        message: 'Folder is no longer public'
+        message: 'Usage reported',
+        usage,
+        quotas
       });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Unexpose folder error:', error);
+    console.error('Folder usage error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -345,133 +2623,67 @@ router.post('/unexpose/:folder', authMiddleware, async (req, res) => {
   }
 });
 
-// Rename file or folder endpoint
-router.patch('/rename', authMiddleware, async (req, res) => {
+// Audit log endpoint
+router.get('/audit', authMiddleware, async (req, res) => {
   try {
-    const { type, folder, filename, newName } = req.body;
-    
-    if (!type || !folder || !newName) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Missing required fields: type, folder, newName'
-      });
-    }
-    
-    if (type !== 'file' && type !== 'folder') {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Type must be "file" or "folder"'
-      });
-    }
+    const { folder, action } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
     
-    if (type === 'file' && !filename) {
+    if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
       return res.status(400).json({
         status: 'error',
-        message: 'Filename is required when type is "file"'
+        message: 'Limit must be a whole number between 1 and 1000'
       });
     }
     
     try {
-      // Rename file
-      if (type === 'file') {
-        const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
-        const { filename: safeNewName } = validatePath(folder, newName);
-        
-        // Check both public and private directories
-        const publicOldPath = path.join('public', safeFolder, safeFilename);
-        const privateOldPath = path.join('private', safeFolder, safeFilename);
-        
-        // Determine which path to use
-        let oldPath;
-        let isExposed = false;
-        
-        if (await fs.pathExists(publicOldPath)) {
-          oldPath = publicOldPath;
-          isExposed = true;
-        } else if (await fs.pathExists(privateOldPath)) {
-          oldPath = privateOldPath;
-        } else {
-          return res.status(404).json({
-            status: 'error',
-            message: 'File not found'
-          });
+      const safeFolder = folder ? validatePath(folder).folder : null;
+      authorize(req, 'list', safeFolder);
+      
+      // Time range bounds accept anything Date can parse, e.g. ISO 8601
+      const [from, to] = ['from', 'to'].map((name) => {
+        if (req.query[name] === undefined) {
+          return null;
         }
         
-        // Set new path in the same directory (public or private)
-        const baseDir = isExposed ? 'public' : 'private';
-        const newPath = path.join(baseDir, safeFolder, safeNewName);
-        
-        // Rename file
-        await fs.move(oldPath, newPath, { overwrite: true });
-        
-        // Set visibility and URL
-        const visibility = isExposed ? 'exposed' : 'hidden';
-        const url = isExposed ? buildPublicUrl(safeFolder, safeNewName) : null;
-        
-        return res.json({
-          status: 'ok',
-          action: 'renamed',
-          visibility,
-          url,
-          folder: safeFolder,
-          file: safeNewName,
-          message: 'File renamed successfully'
-        });
-      } 
-      // Rename folder
-      else {
-        const { folder: safeFolder } = validatePath(folder);
-        const { folder: safeNewName } = validatePath(newName);
-        
-        // Check both public and private directories
-        const publicOldPath = path.join('public', safeFolder);
-        const privateOldPath = path.join('private', safeFolder);
-        
-        // Determine which path to use
-        let oldPath;
-        let isExposed = false;
-        
-        if (await fs.pathExists(publicOldPath)) {
-          oldPath = publicOldPath;
-          isExposed = true;
-        } else if (await fs.pathExists(privateOldPath)) {
-          oldPath = privateOldPath;
-        } else {
-          return res.status(404).json({
-            status: 'error',
-            message: 'Folder not found'
-          });
+        const date = new Date(req.query[name]);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Invalid date for ${name}: ${req.query[name]}`);
         }
-        
-        // Set new path in the same directory (public or private)
-        const baseDir = isExposed ? 'public' : 'private';
-        const newPath = path.join(baseDir, safeNewName);
-        
-        // Rename folder
-        await fs.move(oldPath, newPath, { overwrite: true });
-        
-        // Set visibility and URL
-        const visibility = isExposed ? 'exposed' : 'hidden';
-        const url = isExposed ? buildPublicUrl(safeNewName) : null;
-        
-        return res.json({
-          status: 'ok',
-          action: 'renamed',
-          visibility,
-          url,
-          folder: safeNewName,
-          file: null,
-          message: 'Folder renamed successfully'
-        });
-      }
+        return date;
+      });
+      
+      // Tokens only see entries for folders they are allowed to list; entries without a folder are
+      // only shown to unscoped tokens and to the token that made them
+      const entries = await queryAudit({
+        folder: safeFolder,
+        action,
+        from,
+        to,
+        limit,
+        canSee: entry => (entry.folder === null
+          ? req.token.unscoped || entry.token === req.token.name
+          : req.token.allows('list', entry.folder))
+      });
+      
+      return res.json({
+        status: 'ok',
+        action: 'audit_listed',
+        visibility: null,
+        url: null,
+        folder: safeFolder,
+        file: null,
+        message: `${entries.length} audit entries`,
+        entries
+      });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Rename error:', error);
+    console.error('Audit log error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -479,78 +2691,51 @@ router.patch('/rename', authMiddleware, async (req, res) => {
   }
 });
 
-// List folder contents endpoint
-router.get('/list/:folder', authMiddleware, async (req, res) => {
+// Serve file through a signed URL (no bearer token required)
+router.get('/signed/*', async (req, res) => {
   try {
-    const { folder } = req.params;
+    const filePath = req.params[0];
+    const { expires, sig } = req.query;
+    const inline = req.query.inline === 'true';
     
     try {
-      const { folder: safeFolder } = validatePath(folder);
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(filePath);
       
-      // Check both public and private directories
-      const publicPath = path.join('public', safeFolder);
-      const privatePath = path.join('private', safeFolder);
+      if (!verifySignature(safeFolder, safeFilename, expires, sig)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Invalid or expired signature'
+        });
+      }
       
-      // Determine which path to use
-      let folderPath;
-      let isExposed = false;
+      const found = await findFile(safeFolder, safeFilename);
       
-      if (await fs.pathExists(publicPath)) {
-        folderPath = publicPath;
-        isExposed = true;
-      } else if (await fs.pathExists(privatePath)) {
-        folderPath = privatePath;
-      } else {
+      if (!found) {
         return res.status(404).json({
           status: 'error',
-          message: 'Folder not found'
+          message: 'File not found'
         });
       }
       
-      // Get folder contents
-      const files = await fs.readdir(folderPath);
-      const fileDetails = await Promise.all(
-        files.map(async (file) => {
-          const filePath = path.join(folderPath, file);
-          const stats = await fs.stat(filePath);
-          
-          // Only include files, not directories
-          if (stats.isFile()) {
-            return {
-              name: file,
-              size: stats.size,
-              modified: stats.mtime.toISOString()
-            };
-          }
-          return null;
-        })
-      );
-      
-      // Filter out null values (directories)
-      const fileList = fileDetails.filter(Boolean);
-      
-      // Set visibility and URL
-      const visibility = isExposed ? 'exposed' : 'hidden';
-      const url = isExposed ? buildPublicUrl(safeFolder) : null;
+      if (await isExpired(safeFolder, safeFilename, found.filePath)) {
+        return res.status(410).json({
+          status: 'error',
+          message: 'File has expired'
+        });
+      }
       
-      return res.json({
-        status: 'ok',
-        action: 'folder_listed',
-        visibility,
-        url,
-        folder: safeFolder,
-        file: null,
-        message: 'Folder listed',
-        files: fileList
+      return await sendDownload(res, found.filePath, safeFolder, safeFilename, {
+        disposition: inline ? 'inline' : 'attachment',
+        cacheControl: await cacheControlFor(safeFolder, 'private')
       });
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('List folder error:', error);
+    console.error('Serve signed file error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -558,82 +2743,63 @@ router.get('/list/:folder', authMiddleware, async (req, res) => {
   }
 });
 
-// List all folders endpoint
-router.get('/list', authMiddleware, async (req, res) => {
+// Serve public file endpoint (the only way public files are served)
+router.get('/public/*', async (req, res) => {
   try {
-    const publicPath = path.join('public');
-    const privatePath = path.join('private');
-    
-    // Ensure directories exist
-    await fs.ensureDir(publicPath);
-    await fs.ensureDir(privatePath);
-    
-    // Get all folders from both directories
-    const publicItems = await fs.readdir(publicPath);
-    const privateItems = await fs.readdir(privatePath);
-    
-    // Process public folders
-    const publicFolders = await Promise.all(
-      publicItems.map(async (item) => {
-        const itemPath = path.join(publicPath, item);
-        const stats = await fs.stat(itemPath);
-        
-        // Only include directories, not files
-        if (stats.isDirectory()) {
-          return {
-            name: item,
-            visibility: 'exposed',
-            url: buildPublicUrl(item)
-          };
-        }
-        return null;
-      })
-    );
-    
-    // Process private folders
-    const privateFolders = await Promise.all(
-      privateItems.map(async (item) => {
-        const itemPath = path.join(privatePath, item);
-        const stats = await fs.stat(itemPath);
-        
-        // Only include directories, not files
-        if (stats.isDirectory()) {
-          return {
-            name: item,
-            visibility: 'hidden',
-            url: null
-          };
-        }
-        return null;
-      })
-    );
+    const requestedPath = req.params[0];
     
-    // Combine and filter out null values (files)
-    const allFolders = [...publicFolders, ...privateFolders].filter(Boolean);
+    // Folder URLs are not browsable; there is no directory listing
+    if (!requestedPath.includes('/') || requestedPath.endsWith('/')) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Not found'
+      });
+    }
     
-    // Remove duplicates (folders that exist in both directories)
-    const folderMap = new Map();
-    allFolders.forEach(folder => {
-      // Public folders take precedence
-      if (!folderMap.has(folder.name) || folder.visibility === 'exposed') {
-        folderMap.set(folder.name, folder);
+    try {
+      const { folder: safeFolder, filename: safeFilename } = splitFilePath(requestedPath);
+      const filePath = rootPath('public', safeFolder, safeFilename);
+      const transform = parseTransform(req.query);
+      
+      // Check if file exists
+      if (!await fs.pathExists(filePath) || !(await fs.stat(filePath)).isFile()) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
       }
-    });
-    
-    const folderList = Array.from(folderMap.values());
-    
-    return res.json({
-      status: 'ok',
-      action: 'root_listed',
-      visibility: null,
-      url: null,
-      folder: null,
-      file: null,
-      message: 'Folders listed',
-      folders: folderList
-    });
+      
+      if (await isExpired(safeFolder, safeFilename, filePath)) {
+        return res.status(410).json({
+          status: 'error',
+          message: 'File has expired'
+        });
+      }
+      
+      // Resized or converted images are served from the variant cache
+      if (transform) {
+        const variant = await transformImage(filePath, safeFolder, safeFilename, fileETag(await fs.stat(filePath)), transform);
+        
+        res.type(variant.contentType);
+        res.set('ETag', variant.etag);
+        res.set('Cache-Control', await cacheControlFor(safeFolder, 'public'));
+        
+        return res.sendFile(path.resolve(variant.path));
+      }
+      
+      // Send file, honouring ranges and conditional requests
+      return await sendDownload(res, filePath, safeFolder, safeFilename, {
+        disposition: null,
+        cacheControl: await cacheControlFor(safeFolder, 'public')
+      });
+    } catch (validationError) {
+      return res.status(validationError.statusCode || 400).json({
+        status: 'error',
+        message: validationError.message
+      });
+    }
   } catch (error) {
-    console.error('List all folders error:', error);
+    console.error('Serve public file error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -641,33 +2807,41 @@ router.get('/list', authMiddleware, async (req, res) => {
   }
 });
 
-// Serve public file endpoint
-router.get('/public/:folder/:filename', async (req, res) => {
+// Serve exposed folder as archive endpoint (no auth), enabled with PUBLIC_ARCHIVES
+router.get('/public-archive/*', async (req, res) => {
   try {
-    const { folder, filename } = req.params;
+    if (!PUBLIC_ARCHIVES) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Not found'
+      });
+    }
+    
+    const folder = req.params[0];
     
     try {
-      const { folder: safeFolder, filename: safeFilename } = validatePath(folder, filename);
-      const filePath = path.join('public', safeFolder, safeFilename);
+      const { folder: safeFolder } = validatePath(folder);
+      const { inPublic } = await findFolder(safeFolder);
       
-      // Check if file exists
-      if (!await fs.pathExists(filePath)) {
+      if (!inPublic) {
         return res.status(404).json({
           status: 'error',
-          message: 'File not found'
+          message: 'Folder not found'
         });
       }
       
-      // Send file
-      return res.sendFile(path.resolve(filePath));
+      // Only exposed files; hidden files in the same folder stay private
+      const { files: entries } = await listEntries(safeFolder, { recursive: true });
+      
+      return await sendArchive(res, safeFolder, entries.filter(entry => entry.isExposed), req.query);
     } catch (validationError) {
-      return res.status(400).json({
+      return res.status(validationError.statusCode || 400).json({
         status: 'error',
         message: validationError.message
       });
     }
   } catch (error) {
-    console.error('Serve public file error:', error);
+    console.error('Serve public archive error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error'
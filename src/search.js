@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const { HttpError } = require('./errors');
+const { globToRegExp } = require('./pathUtils');
+const { readMeta } = require('./metadata');
+const { mapLimit, describeFile } = require('./storage');
+
+// Fields files can be sorted by; ties are broken by name so pages are stable
+const SORT_FIELDS = ['name', 'size', 'modified'];
+
+// Page size bounds for paginated listings and searches
+const MAX_PAGE_SIZE = 1000;
+
+// File system calls in flight at once while filtering
+const FILTER_CONCURRENCY = 32;
+
+/**
+ * Parses a non-negative whole number from a query string value
+ *
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {number|null} The value, or null when absent
+ * @throws {HttpError} 400 if the value is not a non-negative whole number
+ */
+function parseCount(query, name) {
+  if (query[name] === undefined) {
+    return null;
+  }
+
+  const value = Number(query[name]);
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new HttpError(400, `${name} must be a non-negative whole number`);
+  }
+  return value;
+}
+
+/**
+ * Parses a date from a query string value; anything Date can parse is accepted, e.g. ISO 8601
+ *
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {number|null} Milliseconds since the epoch, or null when absent
+ * @throws {HttpError} 400 if the value is not a date
+ */
+function parseDate(query, name) {
+  if (query[name] === undefined) {
+    return null;
+  }
+
+  const time = new Date(query[name]).getTime();
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `Invalid date for ${name}: ${query[name]}`);
+  }
+  return time;
+}
+
+/**
+ * Parses sort and pagination options from a query string
+ *
+ * @param {Object} query - Express query object
+ * @param {Object} [options]
+ * @param {number|null} [options.defaultLimit] - Page size when none is given; null returns everything
+ * @param {string[]} [options.sortFields] - Fields the endpoint can sort by
+ * @returns {Object} Object with sort, order, limit and cursor
+ * @throws {HttpError} 400 if an option is invalid
+ */
+function parsePageOptions(query, { defaultLimit = null, sortFields = SORT_FIELDS } = {}) {
+  const sort = query.sort || 'name';
+  const order = query.order || 'asc';
+
+  if (!sortFields.includes(sort)) {
+    throw new HttpError(400, `sort must be one of: ${sortFields.join(', ')}`);
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    throw new HttpError(400, 'order must be asc or desc');
+  }
+
+  const limit = parseCount(query, 'limit');
+  if (limit !== null && (limit === 0 || limit > MAX_PAGE_SIZE)) {
+    throw new HttpError(400, `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'Invalid cursor');
+    }
+
+    const keyType = sort === 'name' ? 'string' : 'number';
+    if (!cursor || typeof cursor.name !== 'string' || typeof cursor.key !== keyType
+      || cursor.sort !== sort || cursor.order !== order) {
+      throw new HttpError(400, 'Invalid cursor for this sort order; start again without a cursor');
+    }
+  }
+
+  return { sort, order, limit: limit === null ? defaultLimit : limit, cursor };
+}
+
+/**
+ * Parses file filters from a search query string
+ *
+ * @param {Object} query - Express query object
+ * @returns {Object} Normalised filters; absent filters are null
+ * @throws {HttpError} 400 if a filter is invalid
+ */
+function parseFileFilters(query) {
+  const visibility = query.visibility || null;
+  if (visibility && visibility !== 'exposed' && visibility !== 'hidden') {
+    throw new HttpError(400, 'visibility must be exposed or hidden');
+  }
+
+  const list = name => (query[name] ? String(query[name]).split(',').map(value => value.trim()).filter(Boolean) : null);
+
+  return {
+    nameContains: query.q ? String(query.q).toLowerCase() : null,
+    namePattern: query.name ? globToRegExp(String(query.name)) : null,
+    extensions: list('ext') && list('ext').map(ext => ext.replace(/^\./, '').toLowerCase()),
+    minSize: parseCount(query, 'minSize'),
+    maxSize: parseCount(query, 'maxSize'),
+    modifiedAfter: parseDate(query, 'modifiedAfter'),
+    modifiedBefore: parseDate(query, 'modifiedBefore'),
+    visibility,
+    tags: list('tag')
+  };
+}
+
+/**
+ * Compares two files by a sort key, then by name
+ *
+ * @param {Object} a - Object with key and name
+ * @param {Object} b - Object with key and name
+ * @returns {number} Negative, zero or positive, for ascending order
+ */
+function compareKeys(a, b) {
+  if (a.key !== b.key) {
+    return typeof a.key === 'string' ? a.key.localeCompare(b.key) : a.key - b.key;
+  }
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Sorts items with a key and name, and takes the page that follows the cursor
+ *
+ * @param {Object[]} items - Items with key and name
+ * @param {Object} options
+ * @param {string} options.sort - Sort field, recorded in the next cursor
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number|null} options.limit - Page size, or null for all remaining items
+ * @param {Object|null} options.cursor - Decoded cursor from parsePageOptions
+ * @returns {Object} Object with page and nextCursor (null on the last page)
+ */
+function takePage(items, { sort, order, limit, cursor }) {
+  const direction = order === 'desc' ? -1 : 1;
+  items.sort((a, b) => direction * compareKeys(a, b));
+
+  // Resume after the last item of the previous page, even if that item has since been deleted
+  const start = cursor ? items.findIndex(item => direction * compareKeys(item, cursor) > 0) : 0;
+  const remaining = start === -1 ? [] : items.slice(start);
+  const page = limit === null ? remaining : remaining.slice(0, limit);
+
+  const last = page[page.length - 1];
+  const nextCursor = page.length < remaining.length
+    ? Buffer.from(JSON.stringify({ sort, order, key: last.key, name: last.name })).toString('base64url')
+    : null;
+
+  return { page, nextCursor };
+}
+
+/**
+ * Filters, sorts and pages file entries from listEntries
+ * Stats and metadata are only read for every file when a filter or the sort order needs them;
+ * otherwise only the files on the returned page are read
+ *
+ * @param {Object[]} entries - File entries from listEntries
+ * @param {Object} options
+ * @param {Object} [options.filters] - Result of parseFileFilters
+ * @param {string} options.sort - 'name', 'size' or 'modified'
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number|null} options.limit - Page size, or null for all remaining files
+ * @param {Object|null} options.cursor - Decoded cursor from parsePageOptions
+ * @returns {Promise<Object>} Object with files (described), total matches and nextCursor
+ */
+async function pageFiles(entries, { filters = {}, sort, order, limit, cursor }) {
+  let candidates = entries.filter((entry) => {
+    const lowerName = entry.filename.toLowerCase();
+    const extension = lowerName.includes('.') ? lowerName.slice(lowerName.lastIndexOf('.') + 1) : '';
+
+    if (filters.nameContains && !lowerName.includes(filters.nameContains)) return false;
+    if (filters.namePattern && !filters.namePattern.test(entry.filename)) return false;
+    if (filters.extensions && !filters.extensions.includes(extension)) return false;
+    if (filters.visibility && (entry.isExposed ? 'exposed' : 'hidden') !== filters.visibility) return false;
+    return true;
+  }).map(entry => ({ entry, name: entry.name }));
+
+  const needsStats = sort !== 'name'
+    || filters.minSize != null || filters.maxSize != null
+    || filters.modifiedAfter != null || filters.modifiedBefore != null;
+
+  if (needsStats) {
+    await mapLimit(candidates, FILTER_CONCURRENCY, async (candidate) => {
+      candidate.stats = await fs.stat(candidate.entry.filePath).catch((error) => {
+        // Skip files deleted since the folder was read
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+    });
+
+    candidates = candidates.filter(({ stats }) => {
+      if (!stats) return false;
+      if (filters.minSize != null && stats.size < filters.minSize) return false;
+      if (filters.maxSize != null && stats.size > filters.maxSize) return false;
+      if (filters.modifiedAfter != null && stats.mtimeMs < filters.modifiedAfter) return false;
+      if (filters.modifiedBefore != null && stats.mtimeMs > filters.modifiedBefore) return false;
+      return true;
+    });
+  }
+
+  if (filters.tags) {
+    await mapLimit(candidates, FILTER_CONCURRENCY, async (candidate) => {
+      candidate.meta = await readMeta(candidate.entry.folder, candidate.entry.filename);
+    });
+
+    candidates = candidates.filter(({ meta }) => filters.tags.every(tag => (meta.tags || []).includes(tag)));
+  }
+
+  for (const candidate of candidates) {
+    candidate.key = sort === 'name' ? candidate.name
+      : sort === 'size' ? candidate.stats.size
+      : Math.floor(candidate.stats.mtimeMs);
+  }
+
+  const { page, nextCursor } = takePage(candidates, { sort, order, limit, cursor });
+
+  return {
+    files: await mapLimit(page, FILTER_CONCURRENCY, ({ entry, stats, meta }) => describeFile(entry, { stats, meta })),
+    total: candidates.length,
+    nextCursor
+  };
+}
+
+/**
+ * Pages folder entries from listEntries by name
+ *
+ * @param {Object[]} folders - Folder entries from listEntries
+ * @param {Object} options - Result of parsePageOptions with sortFields ['name']
+ * @returns {Object} Object with folders, total and nextCursor
+ */
+function pageFolders(folders, { order, limit, cursor }) {
+  const items = folders.map(folder => ({ folder, key: folder.name, name: folder.name }));
+  const { page, nextCursor } = takePage(items, { sort: 'name', order, limit, cursor });
+
+  return { folders: page.map(item => item.folder), total: items.length, nextCursor };
+}
+
+module.exports = {
+  parsePageOptions,
+  parseFileFilters,
+  pageFiles,
+  pageFolders
+};
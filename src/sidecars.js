@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { rootPath } = require('./pathUtils');
+const { DATA_DIR } = require('./config');
+
+/**
+ * Per-file state kept outside the public and private roots, such as prior versions and metadata
+ * Each kind of state mirrors the folder tree under DATA_DIR/<kind>, with a file's entry at
+ * <folder>/@<filename>; the "@" prefix can never appear in a folder or filename, so a file's
+ * entry cannot collide with a subfolder
+ */
+
+/**
+ * Returns the path of a file's entry, or of a folder's subtree, for one kind of state
+ *
+ * @param {string} kind - Kind of state, e.g. 'versions' or 'meta'
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ * @returns {string} Path under DATA_DIR
+ */
+function sidecarPath(kind, folder, filename = null) {
+  const baseDir = path.join(DATA_DIR, kind);
+  return filename ? rootPath(baseDir, folder, `@${filename}`) : rootPath(baseDir, folder);
+}
+
+/**
+ * Moves a directory's contents into another directory, merging with what is already there
+ *
+ * @param {string} srcDir - Directory to move from (removed afterwards)
+ * @param {string} destDir - Directory to move into (created if missing)
+ */
+async function mergeInto(srcDir, destDir) {
+  await fs.ensureDir(destDir);
+
+  for (const entry of await fs.readdir(srcDir, { withFileTypes: true })) {
+    const srcPath = path.join(srcDir, entry.name);
+    const destPath = path.join(destDir, entry.name);
+
+    if (entry.isDirectory() && await fs.pathExists(destPath)) {
+      await mergeInto(srcPath, destPath);
+    } else {
+      await fs.move(srcPath, destPath, { overwrite: true });
+    }
+  }
+
+  await fs.remove(srcDir);
+}
+
+/**
+ * Moves the state of a file or folder to a new path, e.g. after a rename
+ * Directory entries are merged with what already exists at the new path; file entries replace it
+ *
+ * @param {string} kind - Kind of state
+ * @param {string} fromFolder - The validated current folder name
+ * @param {string|null} fromFilename - The validated current filename, or null for a whole folder
+ * @param {string} toFolder - The validated new folder name
+ * @param {string|null} toFilename - The validated new filename, or null for a whole folder
+ * @returns {Promise<boolean>} True if there was anything to move
+ */
+async function moveSidecar(kind, fromFolder, fromFilename, toFolder, toFilename) {
+  const fromPath = sidecarPath(kind, fromFolder, fromFilename);
+  const toPath = sidecarPath(kind, toFolder, toFilename);
+
+  if (!await fs.pathExists(fromPath)) {
+    return false;
+  }
+
+  if ((await fs.stat(fromPath)).isDirectory() && await fs.pathExists(toPath)) {
+    await mergeInto(fromPath, toPath);
+  } else {
+    await fs.move(fromPath, toPath, { overwrite: true });
+  }
+
+  return true;
+}
+
+/**
+ * Removes the state of a file, or of a folder and everything below it
+ *
+ * @param {string} kind - Kind of state
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ */
+async function removeSidecar(kind, folder, filename = null) {
+  await fs.remove(sidecarPath(kind, folder, filename));
+}
+
+module.exports = {
+  sidecarPath,
+  moveSidecar,
+  removeSidecar
+};
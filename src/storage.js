@@ -0,0 +1,654 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+const { validatePath, rootPath, buildPublicUrl } = require('./pathUtils');
+const { archiveVersion, moveVersions, removeVersions } = require('./versions');
+const { readMeta, writeMeta, updateMeta, hashesOf, describeMeta, moveMeta, removeMeta } = require('./metadata');
+const { createHashers, finishHashers, hashFile, verifyDigests } = require('./integrity');
+const { deduplicate } = require('./blobs');
+const { checkQuota, recordWrite, withQuotaLock } = require('./quotas');
+const { removeImageCache } = require('./images');
+const { DEDUP, VERSIONS_MAX } = require('./config');
+
+// Base64 characters decoded per chunk; a multiple of 4 so chunks never split a quantum
+const BASE64_CHUNK_CHARS = 4 * 64 * 1024;
+
+// Ways a write can treat an existing file of the same name
+const CONFLICT_MODES = ['overwrite', 'fail', 'rename'];
+
+// Suffixes tried when onConflict is 'rename' before giving up
+const MAX_RENAME_ATTEMPTS = 1000;
+
+// Tail of the queue of writes waiting for each folder, see withFolderLock
+const folderLocks = new Map();
+
+/**
+ * Finds a file in the public or private directory
+ * A file lives in exactly one of the two roots; public takes precedence if both exist
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @returns {Promise<Object|null>} Object with filePath and isExposed, or null if not found
+ */
+async function findFile(folder, filename) {
+  const publicPath = rootPath('public', folder, filename);
+  const privatePath = rootPath('private', folder, filename);
+
+  if (await fs.pathExists(publicPath) && (await fs.stat(publicPath)).isFile()) {
+    return { filePath: publicPath, isExposed: true };
+  }
+
+  if (await fs.pathExists(privatePath) && (await fs.stat(privatePath)).isFile()) {
+    return { filePath: privatePath, isExposed: false };
+  }
+
+  return null;
+}
+
+/**
+ * Finds which roots a folder exists in
+ * The same folder name may exist in both roots when only some of its files are exposed
+ *
+ * @param {string} folder - The validated folder name
+ * @returns {Promise<Object>} Object with inPublic and inPrivate flags
+ */
+async function findFolder(folder) {
+  const publicPath = rootPath('public', folder);
+  const privatePath = rootPath('private', folder);
+
+  const inPublic = await fs.pathExists(publicPath) && (await fs.stat(publicPath)).isDirectory();
+  const inPrivate = await fs.pathExists(privatePath) && (await fs.stat(privatePath)).isDirectory();
+
+  return { inPublic, inPrivate };
+}
+
+/**
+ * Resolves a path from a URL to either a folder or a file inside a folder
+ * A path naming an existing folder refers to that folder; otherwise its last segment is a filename
+ *
+ * @param {string} target - Slash-separated path, e.g. "client-a/2026" or "client-a/2026/report.pdf"
+ * @returns {Promise<Object>} Validated { folder } or { folder, filename }
+ * @throws {Error} If validation fails
+ */
+async function resolveTarget(target) {
+  const segments = (target || '').split('/');
+
+  if (segments.length === 1) {
+    return validatePath(target);
+  }
+
+  let asFolder = null;
+  try {
+    asFolder = validatePath(target);
+  } catch (validationError) {
+    // Not a valid folder path, so the last segment must be a filename
+  }
+
+  if (asFolder) {
+    const { inPublic, inPrivate } = await findFolder(asFolder.folder);
+    if (inPublic || inPrivate) {
+      return asFolder;
+    }
+  }
+
+  return validatePath(segments.slice(0, -1).join('/'), segments[segments.length - 1]);
+}
+
+/**
+ * Describes a folder's visibility from the roots it exists in
+ *
+ * @param {boolean} inPublic - Whether the folder exists in the public root
+ * @param {boolean} inPrivate - Whether the folder exists in the private root
+ * @returns {string} 'exposed', 'hidden' or 'mixed'
+ */
+function folderVisibility(inPublic, inPrivate) {
+  if (inPublic && inPrivate) {
+    return 'mixed';
+  }
+
+  return inPublic ? 'exposed' : 'hidden';
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * Keeps large folders from queueing tens of thousands of file system calls at once
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Results, in the order of the items
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Lists the files and subfolders of a folder across both roots by name only, without reading
+ * file stats or metadata, so large folders can be filtered and paged cheaply
+ * Dot-prefixed entries, such as in-progress uploads, are skipped
+ *
+ * @param {string} folder - The validated folder name, or '' for the top level
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Descend into subfolders
+ * @returns {Promise<Object>} Object with files and folders arrays sorted by name; names are
+ *   relative to the folder, and each file also has its folder, filename, filePath and isExposed
+ */
+async function listEntries(folder, { recursive = false } = {}) {
+  const files = [];
+  const folderMap = new Map();
+
+  const walk = async (baseDir, relDir) => {
+    const isExposed = baseDir === 'public';
+    const currentFolder = [folder, relDir].filter(Boolean).join('/');
+    const dirPath = currentFolder ? rootPath(baseDir, currentFolder) : baseDir;
+    const entries = (await fs.readdir(dirPath, { withFileTypes: true }))
+      .filter(entry => !entry.name.startsWith('.'));
+
+    for (const entry of entries) {
+      const name = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        // Merge folders that exist in both roots into a single mixed entry
+        const existing = folderMap.get(name);
+        const url = isExposed ? buildPublicUrl([folder, name].filter(Boolean).join('/')) : null;
+        folderMap.set(name, {
+          name,
+          visibility: existing && existing.visibility !== (isExposed ? 'exposed' : 'hidden')
+            ? 'mixed'
+            : (isExposed ? 'exposed' : 'hidden'),
+          url: (existing && existing.url) || url
+        });
+
+        if (recursive) {
+          await walk(baseDir, name);
+        }
+      } else if (entry.isFile()) {
+        files.push({
+          name,
+          folder: currentFolder,
+          filename: entry.name,
+          filePath: path.join(dirPath, entry.name),
+          isExposed
+        });
+      }
+    }
+  };
+
+  for (const baseDir of ['public', 'private']) {
+    const startPath = folder ? rootPath(baseDir, folder) : baseDir;
+    if (await fs.pathExists(startPath) && (await fs.stat(startPath)).isDirectory()) {
+      await walk(baseDir, '');
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return {
+    files: files.sort(byName),
+    folders: Array.from(folderMap.values()).sort(byName)
+  };
+}
+
+/**
+ * Describes a file found by listEntries for API responses
+ *
+ * @param {Object} entry - File entry from listEntries
+ * @param {Object} [loaded] - Stats and metadata already read for the entry, if any
+ * @param {fs.Stats} [loaded.stats] - Stats of the file
+ * @param {Object} [loaded.meta] - Metadata document of the file
+ * @returns {Promise<Object>} Object with name, size, modified, visibility, url, etag, sha256, md5 and metadata
+ */
+async function describeFile(entry, { stats = null, meta = null } = {}) {
+  const fileStats = stats || await fs.stat(entry.filePath);
+  const fileMeta = meta || await readMeta(entry.folder, entry.filename);
+  const etag = fileETag(fileStats);
+  const { sha256, md5 } = hashesOf(fileMeta, etag);
+
+  return {
+    name: entry.name,
+    size: fileStats.size,
+    modified: fileStats.mtime.toISOString(),
+    visibility: entry.isExposed ? 'exposed' : 'hidden',
+    url: entry.isExposed ? buildPublicUrl(entry.folder, entry.filename) : null,
+    etag,
+    sha256,
+    md5,
+    metadata: describeMeta(fileMeta)
+  };
+}
+
+/**
+ * Moves a directory's contents into another directory, merging with what is already there
+ * Files in the destination are replaced by files of the same name from the source
+ *
+ * @param {string} srcDir - Directory to move from (removed afterwards)
+ * @param {string} destDir - Directory to move into (created if missing)
+ */
+async function mergeDirectory(srcDir, destDir) {
+  await fs.ensureDir(destDir);
+
+  const entries = await fs.readdir(srcDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const srcPath = path.join(srcDir, entry.name);
+    const destPath = path.join(destDir, entry.name);
+
+    if (entry.isDirectory() && await fs.pathExists(destPath)) {
+      await mergeDirectory(srcPath, destPath);
+    } else {
+      await fs.move(srcPath, destPath, { overwrite: true });
+    }
+  }
+
+  await fs.remove(srcDir);
+}
+
+/**
+ * Creates a stream that decodes a base64 string chunk by chunk
+ * Avoids materialising a second full-size Buffer next to the string
+ *
+ * @param {string} base64 - Base64-encoded file contents
+ * @returns {Readable} Stream of decoded bytes
+ */
+function createBase64Stream(base64) {
+  // Line breaks and spaces would misalign the chunk boundaries
+  const data = /\s/.test(base64) ? base64.replace(/\s/g, '') : base64;
+
+  return Readable.from((function* () {
+    for (let offset = 0; offset < data.length; offset += BASE64_CHUNK_CHARS) {
+      yield Buffer.from(data.slice(offset, offset + BASE64_CHUNK_CHARS), 'base64');
+    }
+  })());
+}
+
+/**
+ * Estimates the decoded size of a base64 string without decoding it
+ *
+ * @param {string} base64 - Base64-encoded file contents
+ * @returns {number} Approximate decoded size in bytes
+ */
+function base64DecodedSize(base64) {
+  return Math.floor(base64.length * 3 / 4);
+}
+
+/**
+ * Streams data into a file, failing with a 413 once more than maxBytes arrive
+ * The source is piped through a pass-through so a failure does not destroy it; destroying
+ * an incoming request would close the socket before an error response could be sent
+ *
+ * @param {Readable} source - Stream of file contents
+ * @param {string} filePath - File to write to
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Maximum number of bytes to accept
+ * @param {string} [options.flags] - File open flags, e.g. 'a' to append
+ * @param {Object} [options.hashers] - Map of crypto Hash objects to feed with the bytes written
+ * @returns {Promise<number>} Number of bytes written
+ */
+async function pipeToFile(source, filePath, { maxBytes = Infinity, flags = 'w', hashers = {} } = {}) {
+  let bytesWritten = 0;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      if (bytesWritten + chunk.length > maxBytes) {
+        return callback(new HttpError(413, `File exceeds maximum upload size of ${maxBytes} bytes`));
+      }
+      bytesWritten += chunk.length;
+      Object.values(hashers).forEach(hash => hash.update(chunk));
+      callback(null, chunk);
+    }
+  });
+
+  const input = new PassThrough();
+  source.on('error', (error) => input.destroy(error));
+  source.pipe(input);
+
+  try {
+    await pipeline(input, limiter, fs.createWriteStream(filePath, { flags }));
+  } catch (error) {
+    // Discard whatever the client is still sending
+    source.unpipe(input);
+    source.resume();
+    throw error;
+  }
+
+  return bytesWritten;
+}
+
+/**
+ * Removes a file's copy from the root opposite to the one it was just written to
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {boolean} expose - Whether the file now lives in the public root
+ */
+async function removeStaleCopy(folder, filename, expose) {
+  const stalePath = rootPath(expose ? 'private' : 'public', folder, filename);
+  if (await fs.pathExists(stalePath) && (await fs.stat(stalePath)).isFile()) {
+    await fs.remove(stalePath);
+  }
+}
+
+/**
+ * Keeps the current contents of a file as a prior version before it is overwritten
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ */
+async function archiveExisting(folder, filename) {
+  const existing = await findFile(folder, filename);
+  if (existing) {
+    await archiveVersion(folder, filename, existing.filePath);
+  }
+}
+
+/**
+ * Moves a file's or folder's versions and metadata along with it, e.g. after a rename
+ * Cached image variants are dropped rather than moved, as they are cheap to render again
+ *
+ * @param {string} fromFolder - The validated current folder name
+ * @param {string|null} fromFilename - The validated current filename, or null for a whole folder
+ * @param {string} toFolder - The validated new folder name
+ * @param {string|null} toFilename - The validated new filename, or null for a whole folder
+ */
+async function moveFileState(fromFolder, fromFilename, toFolder, toFilename) {
+  await moveVersions(fromFolder, fromFilename, toFolder, toFilename);
+  await moveMeta(fromFolder, fromFilename, toFolder, toFilename);
+  await removeImageCache(fromFolder, fromFilename);
+}
+
+/**
+ * Removes a file's or folder's versions, metadata and cached image variants once it is permanently deleted
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ */
+async function removeFileState(folder, filename = null) {
+  await removeVersions(folder, filename);
+  await removeMeta(folder, filename);
+  await removeImageCache(folder, filename);
+}
+
+/**
+ * Computes the entity tag of a stored file
+ * Files are only ever replaced, never modified in place, so a new inode or modification time
+ * always means new contents
+ *
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {string} Quoted strong ETag
+ */
+function fileETag(stats) {
+  return `"${[stats.ino, stats.size, Math.floor(stats.mtimeMs)].map(value => value.toString(16)).join('-')}"`;
+}
+
+/**
+ * Checks If-Match and If-None-Match preconditions against the current state of a file
+ *
+ * @param {Object|null} existing - Result of findFile for the file being written
+ * @param {Object} conditions
+ * @param {string} [conditions.ifMatch] - If-Match header value
+ * @param {string} [conditions.ifNoneMatch] - If-None-Match header value
+ * @throws {HttpError} 412 if a precondition fails
+ */
+async function checkPreconditions(existing, { ifMatch, ifNoneMatch }) {
+  const etag = existing ? fileETag(await fs.stat(existing.filePath)) : null;
+  const matches = header => header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === etag);
+
+  if (ifMatch && (!etag || !matches(ifMatch))) {
+    throw new HttpError(412, 'Precondition failed: the file does not match If-Match');
+  }
+
+  if (ifNoneMatch && etag && matches(ifNoneMatch)) {
+    throw new HttpError(412, 'Precondition failed: the file matches If-None-Match');
+  }
+}
+
+/**
+ * Finds the first unused name of the form "name-1.ext", "name-2.ext", ... in a folder
+ *
+ * @param {string} name - The validated filename or folder segment that is taken
+ * @param {Function} isTaken - Async predicate telling whether a candidate name is in use
+ * @returns {Promise<string>} An unused name
+ * @throws {HttpError} 409 if no free name is found
+ */
+async function availableName(name, isTaken) {
+  const dot = name.indexOf('.');
+  const base = dot === -1 ? name : name.slice(0, dot);
+  const extension = dot === -1 ? '' : name.slice(dot);
+
+  for (let counter = 1; counter <= MAX_RENAME_ATTEMPTS; counter++) {
+    const candidate = `${base}-${counter}${extension}`;
+    if (!await isTaken(candidate)) {
+      return candidate;
+    }
+  }
+
+  throw new HttpError(409, `No free name found for "${name}"`);
+}
+
+/**
+ * Decides which filename a write should use, given what already exists in the folder
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {Object} [options]
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename'
+ * @param {string} [options.ifMatch] - If-Match header value
+ * @param {string} [options.ifNoneMatch] - If-None-Match header value
+ * @returns {Promise<string>} The filename to write to
+ * @throws {HttpError} 400 for an unknown mode, 409 if the file exists in 'fail' mode, 412 if a precondition fails
+ */
+async function resolveWriteTarget(folder, filename, { onConflict = 'overwrite', ifMatch, ifNoneMatch } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new HttpError(400, `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const existing = await findFile(folder, filename);
+  await checkPreconditions(existing, { ifMatch, ifNoneMatch });
+
+  if (!existing || onConflict === 'overwrite') {
+    return filename;
+  }
+
+  if (onConflict === 'fail') {
+    throw new HttpError(409, `A file named "${filename}" already exists in folder "${folder}"`);
+  }
+
+  return availableName(filename, async candidate => Boolean(await findFile(folder, candidate)));
+}
+
+/**
+ * Runs a function while holding a per-folder lock
+ * Serialises the check-then-write steps of concurrent writes to the same folder within this process
+ *
+ * @param {string} folder - The validated folder name, or '' for the top level
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+async function withFolderLock(folder, fn) {
+  const previous = folderLocks.get(folder) || Promise.resolve();
+  let release;
+  const held = new Promise((resolve) => { release = resolve; });
+  const current = previous.then(() => held);
+  folderLocks.set(folder, current);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (folderLocks.get(folder) === current) {
+      folderLocks.delete(folder);
+    }
+  }
+}
+
+/**
+ * Works out how a write changes quota usage, given the file it may replace
+ * A replaced file only frees its space when versioning is off; otherwise it is kept as a prior version
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The filename being written to
+ * @param {number} size - Size of the new file in bytes
+ * @returns {Promise<Object>} Object with bytes and files added, and the bytes freed by the replaced file (0 if none)
+ */
+async function quotaChange(folder, filename, size) {
+  const existing = await findFile(folder, filename);
+  const replaced = existing && VERSIONS_MAX === 0 ? (await fs.stat(existing.filePath)).size : 0;
+
+  return { bytes: size - replaced, files: existing ? 0 : 1, replaced };
+}
+
+/**
+ * Stores an uploaded file in the public or private root
+ * The data is streamed to a temporary file next to the destination and then renamed into
+ * place, so readers never observe a partially written file and a failed upload leaves nothing behind
+ * Contents are hashed while streaming; a file that does not match the expected digests is discarded
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {Readable} source - Stream of file contents
+ * @param {Object} [options]
+ * @param {boolean} [options.expose] - Store in the public root instead of the private one
+ * @param {number} [options.maxBytes] - Maximum number of bytes to accept
+ * @param {number} [options.size] - Declared size of the contents, when known, for the quota check
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename'
+ * @param {string} [options.ifMatch] - If-Match header value
+ * @param {string} [options.ifNoneMatch] - If-None-Match header value
+ * @param {Object} [options.expected] - Digests the contents must have, from expectedDigests
+ * @param {Object} [options.meta] - New metadata document for the file
+ * @returns {Promise<Object>} Object with filePath, filename, size, etag, sha256, md5 and meta
+ * @throws {HttpError} 422 if the contents do not match an expected digest, 507 if a storage quota would be exceeded
+ */
+async function storeFile(folder, filename, source, { expose = false, maxBytes = Infinity, size = 0, expected = {}, ...conditions } = {}) {
+  // Reject conflicts and exhausted quotas before receiving any bytes; both are checked again when committing
+  const targetName = await resolveWriteTarget(folder, filename, conditions);
+  const change = await quotaChange(folder, targetName, size);
+  const available = await checkQuota(folder, change);
+  const limit = Math.min(maxBytes, available + change.replaced);
+
+  const dir = path.dirname(rootPath(expose ? 'public' : 'private', folder, filename));
+  await fs.ensureDir(dir);
+
+  // Dot-prefixed names can never be addressed through the API
+  const tempPath = path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}.tmp`);
+
+  try {
+    const hashers = createHashers(expected);
+    try {
+      await pipeToFile(source, tempPath, { maxBytes: limit, hashers });
+    } catch (error) {
+      if (error.statusCode === 413 && limit < maxBytes) {
+        throw new HttpError(507, `Storage quota exceeded: only ${limit} bytes are available for "${filename}" in folder "${folder}"`);
+      }
+      throw error;
+    }
+
+    const digests = finishHashers(hashers);
+    verifyDigests(digests, expected);
+
+    return await commitFile(folder, filename, tempPath, { expose, digests, ...conditions });
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+/**
+ * Moves an already complete file, such as a finished upload session, into the public or private root
+ * Any copy of the same file in the other root is removed, so a file only ever has one visibility
+ * A file that is overwritten is kept as a prior version, and the new file's hashes are recorded
+ * The file's metadata is replaced when new metadata is given and otherwise kept, e.g. when restoring
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {string} sourcePath - Path of the complete file (moved, not copied)
+ * @param {Object} [options]
+ * @param {boolean} [options.expose] - Store in the public root instead of the private one
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename'
+ * @param {string} [options.ifMatch] - If-Match header value
+ * @param {string} [options.ifNoneMatch] - If-None-Match header value
+ * @param {Object} [options.digests] - Already computed sha256 and md5 of the file; computed if omitted
+ * @param {Object} [options.meta] - New metadata document for the file, such as the uploader and tags
+ * @param {boolean} [options.counted] - The source's bytes already count against the folder's quotas,
+ *   as for a finished upload session or a file restored from the trash
+ * @returns {Promise<Object>} Object with filePath, filename, size, etag, sha256, md5 and meta
+ * @throws {HttpError} 507 if a storage quota would be exceeded
+ */
+async function commitFile(folder, filename, sourcePath, { expose = false, digests = null, meta = null, counted = false, ...conditions } = {}) {
+  const { sha256, md5 } = digests || await hashFile(sourcePath);
+
+  return withFolderLock(folder, async () => {
+    const targetName = await resolveWriteTarget(folder, filename, conditions);
+    const filePath = rootPath(expose ? 'public' : 'private', folder, targetName);
+    const { bytes, files } = await quotaChange(folder, targetName, counted ? 0 : (await fs.stat(sourcePath)).size);
+
+    await withQuotaLock(folder, async () => {
+      await checkQuota(folder, { bytes, files });
+
+      await fs.ensureDir(path.dirname(filePath));
+      await archiveExisting(folder, targetName);
+      await fs.move(sourcePath, filePath, { overwrite: true });
+      if (DEDUP) {
+        await deduplicate(filePath, sha256);
+      }
+      await removeStaleCopy(folder, targetName, expose);
+      await removeImageCache(folder, targetName);
+      recordWrite(folder, { bytes, files });
+    });
+
+    const stats = await fs.stat(filePath);
+    const etag = fileETag(stats);
+    const hashes = { etag, sha256, md5 };
+    let stored;
+    if (meta) {
+      stored = { ...meta, hashes };
+      await writeMeta(folder, targetName, stored);
+    } else {
+      stored = await updateMeta(folder, targetName, { hashes });
+    }
+
+    return { filePath, filename: targetName, size: stats.size, etag, sha256, md5, meta: stored };
+  });
+}
+
+module.exports = {
+  CONFLICT_MODES,
+  findFile,
+  findFolder,
+  resolveTarget,
+  folderVisibility,
+  mapLimit,
+  listEntries,
+  describeFile,
+  mergeDirectory,
+  createBase64Stream,
+  base64DecodedSize,
+  pipeToFile,
+  fileETag,
+  checkPreconditions,
+  availableName,
+  resolveWriteTarget,
+  withFolderLock,
+  quotaChange,
+  removeStaleCopy,
+  archiveExisting,
+  moveFileState,
+  removeFileState,
+  storeFile,
+  commitFile
+};
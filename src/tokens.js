@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { globToRegExp, matchesFolder, createConfigLoader } = require('./pathUtils');
+const { TOKENS_FILE } = require('./config');
+
+// Actions a token can be granted; '*' grants all of them
+const ACTIONS = ['upload', 'list', 'delete', 'rename', 'expose'];
+
+/**
+ * Hashes a token so secrets of any length can be compared in constant time
+ *
+ * @param {string} secret - Token secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Validates and normalises one entry of the tokens file
+ *
+ * @param {Object} entry - Raw token entry
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Token with name, digest, actions and compiled folder patterns
+ * @throws {Error} If the entry is malformed
+ */
+function parseToken(entry, index) {
+  if (!entry || typeof entry.name !== 'string' || typeof entry.token !== 'string' || !entry.token) {
+    throw new Error(`Token #${index + 1} needs a name and a token`);
+  }
+
+  const actions = entry.actions || ['*'];
+  const folders = entry.folders || ['**'];
+
+  const unknown = actions.filter(action => action !== '*' && !ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw new Error(`Token "${entry.name}" has unknown actions: ${unknown.join(', ')}`);
+  }
+
+  return {
+    name: entry.name,
+    digest: digest(entry.token),
+    actions,
+    folders,
+    folderPatterns: folders.map(globToRegExp),
+    // Granted every folder, so it may also see activity that is not tied to a folder
+    unscoped: folders.includes('**')
+  };
+}
+
+const loadTokensFile = createConfigLoader(TOKENS_FILE, 'tokens', parseToken, 'token');
+
+/**
+ * Returns the configured tokens, reloading the tokens file if it changed on disk
+ * The API_TOKEN environment variable, when set, is always a full-access token named "default"
+ *
+ * @returns {Promise<Object[]>} Parsed tokens
+ */
+async function loadTokens() {
+  const tokens = [];
+
+  if (process.env.API_TOKEN) {
+    tokens.push(parseToken({ name: 'default', token: process.env.API_TOKEN }, 0));
+  }
+
+  return tokens.concat(await loadTokensFile());
+}
+
+/**
+ * Finds the token matching a bearer secret
+ *
+ * @param {string} secret - Secret from the Authorization header
+ * @returns {Promise<Object|null>} The matching token, or null
+ */
+async function findToken(secret) {
+  const tokens = await loadTokens();
+  const candidate = digest(secret);
+
+  return tokens.find(token => crypto.timingSafeEqual(token.digest, candidate)) || null;
+}
+
+/**
+ * Checks whether a token may perform an action on a folder
+ * A folder pattern grants the folders it matches and everything nested below them
+ *
+ * @param {Object} token - Token from findToken
+ * @param {string} action - One of ACTIONS
+ * @param {string} [folder] - Validated folder path; omit to check the action alone
+ * @returns {boolean} True if allowed
+ */
+function tokenAllows(token, action, folder = null) {
+  if (!token.actions.includes('*') && !token.actions.includes(action)) {
+    return false;
+  }
+
+  return folder === null || matchesFolder(token.folderPatterns, folder);
+}
+
+module.exports = {
+  ACTIONS,
+  loadTokens,
+  findToken,
+  tokenAllows
+};
@@ -0,0 +1,440 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { rootPath } = require('./pathUtils');
+const {
+  findFile,
+  findFolder,
+  listEntries,
+  fileETag,
+  checkPreconditions,
+  availableName,
+  resolveWriteTarget,
+  withFolderLock,
+  quotaChange,
+  removeStaleCopy,
+  archiveExisting,
+  mergeDirectory,
+  moveFileState,
+  removeFileState,
+  commitFile
+} = require('./storage');
+const { readMeta, hashesOf, readFolderMeta, writeFolderMeta } = require('./metadata');
+const { checkQuota, recordWrite, withQuotaLock, versionBytes } = require('./quotas');
+const { removeImageCache } = require('./images');
+const { trashItem } = require('./trash');
+
+/**
+ * Server-side copies and moves of files and folders, within a folder or between folders and roots
+ * Copies are written like uploads, through commitFile, so they get the same conflict handling,
+ * versioning, quotas and deduplication; moves rename on disk and carry the item's versions and
+ * metadata along, as /rename does
+ */
+
+/**
+ * Runs a function while holding the locks of several folders
+ * Locks are always taken in sorted order, so two requests locking the same folders cannot deadlock
+ *
+ * @param {string[]} folders - Validated folder names, '' for the top level
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+async function withFolderLocks(folders, fn) {
+  const [first, ...rest] = [...new Set(folders)].sort();
+  return withFolderLock(first, () => (rest.length ? withFolderLocks(rest, fn) : fn()));
+}
+
+/**
+ * Returns the folder containing a folder
+ *
+ * @param {string} folder - Validated folder path
+ * @returns {string} Parent folder path, or '' for a top-level folder
+ */
+function parentOf(folder) {
+  const parent = path.posix.dirname(folder);
+  return parent === '.' ? '' : parent;
+}
+
+/**
+ * Tells whether a folder is another folder or lies below it
+ *
+ * @param {string} folder - Folder path to test
+ * @param {string} ancestor - Folder path it may be inside
+ * @returns {boolean} True if folder is ancestor or one of its subfolders
+ */
+function isWithin(folder, ancestor) {
+  return folder === ancestor || folder.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Builds the metadata document of a copy: the source's metadata, recorded as uploaded now by the copier
+ *
+ * @param {Object} meta - The source's metadata document
+ * @param {string|null} actor - Name of the token making the copy
+ * @returns {Object} Metadata document for the copy
+ */
+function copiedMeta(meta, actor) {
+  const { hashes, ...rest } = meta;
+  return { ...rest, uploadedBy: actor, uploadedAt: new Date().toISOString() };
+}
+
+/**
+ * Adds up the files in a folder and everything below it, across both roots
+ *
+ * @param {Object[]} entries - File entries from listEntries
+ * @returns {Promise<Object>} Object with bytes and files
+ */
+async function sumEntries(entries) {
+  let bytes = 0;
+  for (const entry of entries) {
+    bytes += (await fs.stat(entry.filePath)).size;
+  }
+  return { bytes, files: entries.length };
+}
+
+/**
+ * Copies a file into a temporary file next to its destination and commits it there
+ *
+ * @param {string} sourcePath - Path of the file to copy
+ * @param {string} folder - The validated destination folder
+ * @param {string} filename - The validated destination filename
+ * @param {Object} options - Options for commitFile, including expose
+ * @returns {Promise<Object>} Result of commitFile
+ */
+async function commitCopy(sourcePath, folder, filename, options) {
+  const dir = path.dirname(rootPath(options.expose ? 'public' : 'private', folder, filename));
+  await fs.ensureDir(dir);
+
+  // Dot-prefixed names can never be addressed through the API
+  const tempPath = path.join(dir, `.copy-${crypto.randomBytes(8).toString('hex')}.tmp`);
+
+  try {
+    await fs.copy(sourcePath, tempPath);
+    return await commitFile(folder, filename, tempPath, options);
+  } finally {
+    await fs.remove(tempPath);
+  }
+}
+
+/**
+ * Copies a file to another name or folder
+ * The copy keeps the source's metadata and, unless expose is given, its visibility.
+ * Copying a file onto itself is only allowed with onConflict 'rename', which makes a duplicate
+ *
+ * @param {Object} from - Validated source { folder, filename }
+ * @param {Object} to - Validated destination { folder, filename }
+ * @param {Object} [options]
+ * @param {boolean|null} [options.expose] - Store the copy in the public (true) or private (false) root
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename' for an existing destination
+ * @param {string} [options.ifMatch] - If-Match header value, checked against the source
+ * @param {string} [options.ifNoneMatch] - If-None-Match header value, checked against the source
+ * @param {string} [options.actor] - Name of the token making the copy
+ * @returns {Promise<Object|null>} Object with filename, size, etag and isExposed of the copy, or null if the source does not exist
+ * @throws {HttpError} 400 for a copy onto itself, 409 on a conflict in 'fail' mode, 412 if a precondition fails,
+ *   507 if a storage quota would be exceeded
+ */
+async function copyFile(from, to, { expose = null, onConflict = 'overwrite', ifMatch, ifNoneMatch, actor = null } = {}) {
+  const found = await findFile(from.folder, from.filename);
+  if (!found) {
+    return null;
+  }
+
+  await checkPreconditions(found, { ifMatch, ifNoneMatch });
+
+  if (from.folder === to.folder && from.filename === to.filename && onConflict !== 'rename') {
+    throw new HttpError(400, 'A file cannot be copied onto itself');
+  }
+
+  const meta = await readMeta(from.folder, from.filename);
+  const { sha256, md5 } = hashesOf(meta, fileETag(await fs.stat(found.filePath)));
+  const isExposed = expose === null ? found.isExposed : expose;
+
+  // Report a conflict before copying any bytes; commitFile checks again under the folder lock
+  await resolveWriteTarget(to.folder, to.filename, { onConflict });
+
+  const stored = await commitCopy(found.filePath, to.folder, to.filename, {
+    expose: isExposed,
+    digests: sha256 ? { sha256, md5 } : null,
+    meta: copiedMeta(meta, actor),
+    onConflict
+  });
+
+  return { filename: stored.filename, size: stored.size, etag: stored.etag, isExposed };
+}
+
+/**
+ * Moves a file to another name, folder or root
+ * Versions and metadata move with the file, and a file it replaces is kept as a prior version.
+ * Giving only expose for the file's own path changes its visibility
+ *
+ * @param {Object} from - Validated source { folder, filename }
+ * @param {Object} to - Validated destination { folder, filename }
+ * @param {Object} [options]
+ * @param {boolean|null} [options.expose] - Move into the public (true) or private (false) root
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename' for an existing destination
+ * @param {string} [options.ifMatch] - If-Match header value, checked against the source
+ * @param {string} [options.ifNoneMatch] - If-None-Match header value, checked against the source
+ * @returns {Promise<Object|null>} Object with filename, size, etag and isExposed at the destination,
+ *   or null if the source does not exist
+ * @throws {HttpError} 400 if nothing would change, 409 on a conflict in 'fail' mode, 412 if a precondition fails,
+ *   507 if a storage quota would be exceeded
+ */
+async function moveFile(from, to, { expose = null, onConflict = 'overwrite', ifMatch, ifNoneMatch } = {}) {
+  return withFolderLocks([from.folder, to.folder], async () => {
+    const found = await findFile(from.folder, from.filename);
+    if (!found) {
+      return null;
+    }
+
+    await checkPreconditions(found, { ifMatch, ifNoneMatch });
+
+    const isExposed = expose === null ? found.isExposed : expose;
+    const samePath = from.folder === to.folder && from.filename === to.filename;
+
+    if (samePath && isExposed === found.isExposed) {
+      throw new HttpError(400, 'Source and destination are the same');
+    }
+
+    const targetName = samePath ? to.filename : await resolveWriteTarget(to.folder, to.filename, { onConflict });
+    // The file's prior versions move with it, so they count at the destination too
+    const size = samePath ? 0 : (await fs.stat(found.filePath)).size + await versionBytes(from.folder, from.filename);
+    const change = samePath ? null : await quotaChange(to.folder, targetName, size);
+    const filePath = rootPath(isExposed ? 'public' : 'private', to.folder, targetName);
+
+    await withQuotaLock(to.folder, async () => {
+      if (change) {
+        await checkQuota(to.folder, { ...change, from: from.folder });
+      }
+
+      await fs.ensureDir(path.dirname(filePath));
+      if (!samePath) {
+        await archiveExisting(to.folder, targetName);
+      }
+
+      await fs.move(found.filePath, filePath, { overwrite: true });
+
+      if (!samePath) {
+        await moveFileState(from.folder, from.filename, to.folder, targetName);
+        await removeStaleCopy(to.folder, targetName, isExposed);
+        await removeImageCache(to.folder, targetName);
+        recordWrite(to.folder, change);
+        recordWrite(from.folder, { bytes: -size, files: -1 });
+      }
+    });
+
+    const stats = await fs.stat(filePath);
+    return { filename: targetName, size: stats.size, etag: fileETag(stats), isExposed };
+  });
+}
+
+/**
+ * Picks the path a folder is copied or moved to, clearing the way according to onConflict
+ * Must be called while holding the lock of the destination's parent folder
+ *
+ * @param {string} source - Validated path of the folder being copied or moved
+ * @param {string} target - Validated destination path
+ * @param {Object} options
+ * @param {string} options.onConflict - 'overwrite', 'fail' or 'rename'
+ * @param {string|null} options.actor - Name of the token, recorded on a folder moved to the trash
+ * @returns {Promise<Object>} Object with folder (the destination path) and replaced (trash descriptor or null)
+ * @throws {HttpError} 409 if the destination exists in 'fail' mode or contains the source
+ */
+async function claimFolder(source, target, { onConflict, actor }) {
+  const parent = parentOf(target);
+  const prefix = parent ? `${parent}/` : '';
+  const folderExists = async (name) => {
+    const existing = await findFolder(`${prefix}${name}`);
+    return existing.inPublic || existing.inPrivate;
+  };
+
+  const segment = target.slice(prefix.length);
+  if (!await folderExists(segment)) {
+    return { folder: target, replaced: null };
+  }
+
+  if (onConflict === 'fail') {
+    throw new HttpError(409, `Folder "${target}" already exists`);
+  }
+
+  if (onConflict === 'rename') {
+    return { folder: `${prefix}${await availableName(segment, folderExists)}`, replaced: null };
+  }
+
+  // The folder being replaced goes to the trash rather than being merged or lost
+  if (isWithin(source, target)) {
+    throw new HttpError(409, `Folder "${target}" cannot be replaced, as it contains "${source}"`);
+  }
+  return { folder: target, replaced: await trashItem({ folder: target, deletedBy: actor }) };
+}
+
+/**
+ * Copies a folder and everything in it to another path
+ * Files are copied one at a time like uploads, keeping their metadata and, unless expose is given,
+ * their visibility; folders' own expiry is copied too. A copy that fails part way is removed again
+ *
+ * @param {string} source - Validated path of the folder to copy
+ * @param {string} target - Validated destination path
+ * @param {Object} [options]
+ * @param {boolean|null} [options.expose] - Put every copied file in the public (true) or private (false) root
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename' for an existing destination folder
+ * @param {string} [options.actor] - Name of the token making the copy
+ * @param {Function} [options.checkTarget] - Called with the path onConflict 'rename' picks instead of target,
+ *   before anything is written; throws to refuse it, e.g. when the path is outside the token's scope
+ * @returns {Promise<Object|null>} Object with folder, files (number copied), inPublic, inPrivate and replaced,
+ *   or null if the source does not exist
+ * @throws {HttpError} 400 for a copy into itself, 409 on a conflict, 507 if a storage quota would be exceeded
+ */
+async function copyFolder(source, target, { expose = null, onConflict = 'overwrite', actor = null, checkTarget = () => {} } = {}) {
+  if (isWithin(target, source) && !(target === source && onConflict === 'rename')) {
+    throw new HttpError(400, 'A folder cannot be copied into itself');
+  }
+
+  const { inPublic, inPrivate } = await findFolder(source);
+  if (!inPublic && !inPrivate) {
+    return null;
+  }
+
+  const { files, folders } = await listEntries(source, { recursive: true });
+  const totals = await sumEntries(files);
+  const rootsOf = (isExposed, isHidden) => (expose === null
+    ? [isExposed && 'public', isHidden && 'private'].filter(Boolean)
+    : [expose ? 'public' : 'private']);
+
+  // Claim the destination under its parent's lock by creating it, so concurrent copies cannot take it too
+  const claimed = await withFolderLock(parentOf(target), async () => {
+    await checkQuota(target, totals);
+    const result = await claimFolder(source, target, { onConflict, actor });
+    if (result.folder !== target) {
+      checkTarget(result.folder);
+      await checkQuota(result.folder, totals);
+    }
+
+    for (const root of rootsOf(inPublic, inPrivate)) {
+      await fs.ensureDir(rootPath(root, result.folder));
+    }
+    return result;
+  });
+
+  try {
+    for (const entry of folders) {
+      const roots = rootsOf(entry.visibility !== 'hidden', entry.visibility !== 'exposed');
+      for (const root of roots) {
+        await fs.ensureDir(rootPath(root, `${claimed.folder}/${entry.name}`));
+      }
+    }
+
+    for (const name of ['', ...folders.map(entry => entry.name)]) {
+      const folderMeta = await readFolderMeta(name ? `${source}/${name}` : source);
+      if (Object.keys(folderMeta).length > 0) {
+        await writeFolderMeta(name ? `${claimed.folder}/${name}` : claimed.folder, folderMeta);
+      }
+    }
+
+    for (const entry of files) {
+      const meta = await readMeta(entry.folder, entry.filename);
+      const { sha256, md5 } = hashesOf(meta, fileETag(await fs.stat(entry.filePath)));
+      const folder = `${claimed.folder}${entry.folder.slice(source.length)}`;
+
+      await commitCopy(entry.filePath, folder, entry.filename, {
+        expose: expose === null ? entry.isExposed : expose,
+        digests: sha256 ? { sha256, md5 } : null,
+        meta: copiedMeta(meta, actor)
+      });
+    }
+  } catch (error) {
+    await fs.remove(rootPath('public', claimed.folder));
+    await fs.remove(rootPath('private', claimed.folder));
+    await removeFileState(claimed.folder);
+    throw error;
+  }
+
+  const copied = await findFolder(claimed.folder);
+  return { folder: claimed.folder, files: files.length, ...copied, replaced: claimed.replaced };
+}
+
+/**
+ * Moves a folder and everything in it to another path, in every root it exists in
+ * Versions and metadata move along. Giving only expose for the folder's own path moves all of
+ * its files into that root, like /expose and /unexpose
+ *
+ * @param {string} source - Validated path of the folder to move
+ * @param {string} target - Validated destination path
+ * @param {Object} [options]
+ * @param {boolean|null} [options.expose] - Move every file into the public (true) or private (false) root
+ * @param {string} [options.onConflict] - 'overwrite', 'fail' or 'rename' for an existing destination folder
+ * @param {string} [options.actor] - Name of the token, recorded on a replaced folder moved to the trash
+ * @param {Function} [options.checkTarget] - Called with the path onConflict 'rename' picks instead of target,
+ *   before anything is moved; throws to refuse it
+ * @returns {Promise<Object|null>} Object with folder, inPublic, inPrivate and replaced, or null if the source does not exist
+ * @throws {HttpError} 400 for a move into itself or if nothing would change, 409 on a conflict,
+ *   507 if a storage quota would be exceeded
+ */
+async function moveFolder(source, target, { expose = null, onConflict = 'overwrite', actor = null, checkTarget = () => {} } = {}) {
+  if (target !== source && isWithin(target, source)) {
+    throw new HttpError(400, 'A folder cannot be moved into itself');
+  }
+
+  return withFolderLocks([parentOf(source), parentOf(target)], async () => {
+    const { inPublic, inPrivate } = await findFolder(source);
+    if (!inPublic && !inPrivate) {
+      return null;
+    }
+
+    if (target === source && (expose === null || (expose ? !inPrivate : !inPublic))) {
+      throw new HttpError(400, 'Source and destination are the same');
+    }
+
+    // Prior versions below the folder move with it, so they count at the destination too
+    const totals = await sumEntries((await listEntries(source, { recursive: true })).files);
+    totals.bytes += await versionBytes(source);
+
+    // A folder picked by onConflict 'rename' does not exist yet, so no other write can use its own quota
+    const claimed = await withQuotaLock(target, async () => {
+      await checkQuota(target, { ...totals, from: source });
+
+      let result = { folder: source, replaced: null };
+      if (target !== source) {
+        result = await claimFolder(source, target, { onConflict, actor });
+        if (result.folder !== target) {
+          checkTarget(result.folder);
+          await checkQuota(result.folder, { ...totals, from: source });
+        }
+      }
+
+      for (const [root, exists] of [['public', inPublic], ['private', inPrivate]]) {
+        if (exists && result.folder !== source) {
+          await fs.move(rootPath(root, source), rootPath(root, result.folder), { overwrite: true });
+        }
+      }
+      if (result.folder !== source) {
+        await moveFileState(source, null, result.folder, null);
+        recordWrite(result.folder, totals);
+        recordWrite(source, { bytes: -totals.bytes, files: -totals.files });
+      }
+
+      return result;
+    });
+
+    const destination = claimed.folder;
+
+    // Files already in the requested root stay where they are
+    if (expose !== null) {
+      const from = rootPath(expose ? 'private' : 'public', destination);
+      if (await fs.pathExists(from)) {
+        await mergeDirectory(from, rootPath(expose ? 'public' : 'private', destination));
+      }
+    }
+
+    const moved = await findFolder(destination);
+    return { folder: destination, ...moved, replaced: claimed.replaced };
+  });
+}
+
+module.exports = {
+  withFolderLocks,
+  copyFile,
+  moveFile,
+  copyFolder,
+  moveFolder
+};
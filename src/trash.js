@@ -0,0 +1,303 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { rootPath, validatePath } = require('./pathUtils');
+const { findFile, findFolder, mergeDirectory, commitFile, removeFileState } = require('./storage');
+const { readMeta, removeFolderMeta } = require('./metadata');
+const { removeImageCache } = require('./images');
+const { TRASH_DIR, TRASH_RETENTION } = require('./config');
+
+// Trash IDs are random hex, which also keeps them safe to use as file names
+const TRASH_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Returns the paths of a trashed item's descriptor and contents
+ *
+ * @param {string} id - Trash ID
+ * @returns {Object} Object with metaPath and dataDir
+ */
+function trashPaths(id) {
+  return {
+    metaPath: path.join(TRASH_DIR, `${id}.json`),
+    dataDir: path.join(TRASH_DIR, id)
+  };
+}
+
+/**
+ * Describes a trashed item for API responses
+ *
+ * @param {Object} item - Trash descriptor
+ * @returns {Object} Public view of the item
+ */
+function describeTrashItem(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    folder: item.folder,
+    file: item.file,
+    visibility: item.visibility,
+    size: item.size,
+    deletedAt: new Date(item.deletedAt).toISOString(),
+    deletedBy: item.deletedBy,
+    expiresAt: new Date(item.deletedAt + TRASH_RETENTION * 1000).toISOString()
+  };
+}
+
+/**
+ * Moves a file or folder into the trash, keeping its location and visibility for a later restore
+ * A folder's public and private copies are trashed together as one item
+ *
+ * @param {Object} target
+ * @param {string} target.folder - The validated folder name
+ * @param {string} [target.filename] - The validated filename; omit to trash the whole folder
+ * @param {string} [target.deletedBy] - Name of the token that deleted the item
+ * @returns {Promise<Object|null>} The trash descriptor, or null if nothing exists at that path
+ */
+async function trashItem({ folder, filename = null, deletedBy = null }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const { metaPath, dataDir } = trashPaths(id);
+
+  let item;
+
+  if (filename) {
+    const found = await findFile(folder, filename);
+    if (!found) {
+      return null;
+    }
+
+    const baseDir = found.isExposed ? 'public' : 'private';
+    const { size } = await fs.stat(found.filePath);
+
+    // Keep the metadata with the item, as a new file at the same path replaces it
+    const meta = await readMeta(folder, filename);
+
+    await fs.move(found.filePath, path.join(dataDir, baseDir, filename));
+    await removeImageCache(folder, filename);
+
+    item = {
+      id,
+      type: 'file',
+      folder,
+      file: filename,
+      visibility: found.isExposed ? 'exposed' : 'hidden',
+      size,
+      meta
+    };
+  } else {
+    const { inPublic, inPrivate } = await findFolder(folder);
+    if (!inPublic && !inPrivate) {
+      return null;
+    }
+
+    for (const baseDir of ['public', 'private']) {
+      if (baseDir === 'public' ? inPublic : inPrivate) {
+        await fs.move(rootPath(baseDir, folder), path.join(dataDir, baseDir));
+      }
+    }
+
+    // A folder created later at the same path must not inherit the deleted folders' expiry
+    await removeFolderMeta(folder);
+    await removeImageCache(folder);
+
+    item = {
+      id,
+      type: 'folder',
+      folder,
+      file: null,
+      visibility: inPublic && inPrivate ? 'mixed' : (inPublic ? 'exposed' : 'hidden'),
+      size: null
+    };
+  }
+
+  item.deletedAt = Date.now();
+  item.deletedBy = deletedBy;
+
+  await fs.writeJson(metaPath, item);
+
+  return item;
+}
+
+/**
+ * Loads a trashed item's descriptor
+ *
+ * @param {string} id - Trash ID
+ * @returns {Promise<Object>} The trash descriptor
+ * @throws {HttpError} 404 if the item does not exist
+ */
+async function getTrashItem(id) {
+  if (!TRASH_ID_PATTERN.test(id || '')) {
+    throw new HttpError(404, 'Trash item not found');
+  }
+
+  const { metaPath } = trashPaths(id);
+
+  if (!await fs.pathExists(metaPath)) {
+    throw new HttpError(404, 'Trash item not found');
+  }
+
+  return fs.readJson(metaPath);
+}
+
+/**
+ * Lists trashed items, most recently deleted first
+ *
+ * @returns {Promise<Object[]>} Trash descriptors
+ */
+async function listTrash() {
+  if (!await fs.pathExists(TRASH_DIR)) {
+    return [];
+  }
+
+  const entries = (await fs.readdir(TRASH_DIR)).filter(entry => entry.endsWith('.json'));
+  const items = [];
+
+  for (const entry of entries) {
+    try {
+      items.push(await fs.readJson(path.join(TRASH_DIR, entry)));
+    } catch (error) {
+      console.error(`Failed to read trash item ${entry}:`, error);
+    }
+  }
+
+  return items.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Puts a trashed item back where it was deleted from, with its original visibility
+ *
+ * @param {string} id - Trash ID
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace a file, or merge into a folder, that now exists at the original path
+ * @returns {Promise<Object>} The restored item's descriptor
+ * @throws {HttpError} 404 if the item does not exist, 409 if its original path is taken
+ */
+async function restoreItem(id, { overwrite = false } = {}) {
+  const item = await getTrashItem(id);
+  const { dataDir } = trashPaths(id);
+
+  // Re-validate in case the descriptor was edited on disk
+  const { folder, filename } = validatePath(item.folder, item.file || undefined);
+
+  if (item.type === 'file') {
+    if (!overwrite && await findFile(folder, filename)) {
+      throw new HttpError(409, `A file named "${filename}" already exists in folder "${folder}"`);
+    }
+
+    const expose = item.visibility === 'exposed';
+    const sourcePath = path.join(dataDir, expose ? 'public' : 'private', filename);
+
+    // A restored file no longer expires on its own; retention rules still apply to it
+    await commitFile(folder, filename, sourcePath, {
+      expose,
+      meta: item.meta ? { ...item.meta, expiresAt: null } : null,
+      counted: true
+    });
+  } else {
+    const { inPublic, inPrivate } = await findFolder(folder);
+    if (!overwrite && (inPublic || inPrivate)) {
+      throw new HttpError(409, `Folder "${folder}" already exists`);
+    }
+
+    for (const baseDir of ['public', 'private']) {
+      const sourceDir = path.join(dataDir, baseDir);
+      if (await fs.pathExists(sourceDir)) {
+        await mergeDirectory(sourceDir, rootPath(baseDir, folder));
+      }
+    }
+  }
+
+  await removeTrashItem(id);
+
+  return item;
+}
+
+/**
+ * Permanently removes a trashed item
+ *
+ * @param {string} id - Trash ID
+ */
+async function removeTrashItem(id) {
+  const { metaPath, dataDir } = trashPaths(id);
+  await fs.remove(dataDir);
+  await fs.remove(metaPath);
+}
+
+/**
+ * Permanently deletes a trashed item
+ * Its version history and metadata go with it, unless something has since been stored at the same path
+ *
+ * @param {Object} item - Trash descriptor
+ */
+async function purgeTrashItem(item) {
+  await removeTrashItem(item.id);
+
+  if (item.type === 'file') {
+    if (!await findFile(item.folder, item.file)) {
+      await removeFileState(item.folder, item.file);
+    }
+  } else {
+    const { inPublic, inPrivate } = await findFolder(item.folder);
+    if (!inPublic && !inPrivate) {
+      await removeFileState(item.folder);
+    }
+  }
+}
+
+/**
+ * Permanently removes items that have been in the trash for longer than TRASH_RETENTION
+ *
+ * @returns {Promise<number>} Number of items removed
+ */
+async function sweepExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION * 1000;
+  const items = await listTrash();
+  let removed = 0;
+
+  for (const item of items) {
+    if (item.deletedAt < cutoff) {
+      try {
+        await purgeTrashItem(item);
+        removed++;
+      } catch (error) {
+        console.error(`Failed to sweep trash item ${item.id}:`, error);
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Periodically purges expired trash
+ * The timer does not keep the process alive on its own
+ */
+function startTrashSweeper() {
+  const intervalMs = Math.min(TRASH_RETENTION * 1000, 60 * 60 * 1000);
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await sweepExpiredTrash();
+      if (removed > 0) {
+        console.log(`Purged ${removed} expired trash item(s)`);
+      }
+    } catch (error) {
+      console.error('Trash sweep error:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  trashItem,
+  getTrashItem,
+  listTrash,
+  restoreItem,
+  removeTrashItem,
+  purgeTrashItem,
+  describeTrashItem,
+  sweepExpiredTrash,
+  startTrashSweeper
+};
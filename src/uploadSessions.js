@@ -0,0 +1,333 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { pipeToFile, commitFile } = require('./storage');
+const { hashFile, verifyDigests } = require('./integrity');
+const { validatePath } = require('./pathUtils');
+const { checkQuota, recordWrite, withQuotaLock } = require('./quotas');
+const { SESSIONS_DIR, UPLOAD_SESSION_TTL } = require('./config');
+
+// Session IDs are random hex, which also keeps them safe to use as file names
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Sessions currently receiving a chunk ('chunk') or being completed ('complete'), so concurrent
+// PUTs cannot interleave and a session cannot be appended to or completed twice at once
+const activeSessions = new Map();
+
+/**
+ * Returns the paths of a session's descriptor and data files
+ * 
+ * @param {string} id - Session ID
+ * @returns {Object} Object with metaPath and partPath
+ */
+function sessionPaths(id) {
+  return {
+    metaPath: path.join(SESSIONS_DIR, `${id}.json`),
+    partPath: path.join(SESSIONS_DIR, `${id}.part`)
+  };
+}
+
+/**
+ * Describes a session for API responses
+ * 
+ * @param {Object} session - Session descriptor
+ * @param {number} offset - Number of bytes committed so far
+ * @returns {Object} Public view of the session
+ */
+function describeSession(session, offset) {
+  return {
+    id: session.id,
+    size: session.size,
+    offset,
+    complete: offset === session.size,
+    expiresAt: new Date(session.updatedAt + UPLOAD_SESSION_TTL * 1000).toISOString()
+  };
+}
+
+/**
+ * Creates a new upload session
+ * 
+ * @param {Object} details
+ * @param {string} details.folder - The validated folder name
+ * @param {string} details.filename - The validated filename
+ * @param {number} details.size - Total file size in bytes
+ * @param {boolean} details.expose - Whether the finished file should be public
+ * @param {string} [details.onConflict] - How completion treats an existing file: 'overwrite', 'fail' or 'rename'
+ * @param {Object} [details.expected] - Digests the finished file must have, from expectedDigests
+ * @param {Object} [details.meta] - Metadata document to record for the finished file
+ * @returns {Promise<Object>} The session descriptor
+ * @throws {HttpError} 507 if the file would exceed a storage quota
+ */
+async function createSession({ folder, filename, size, expose, onConflict = 'overwrite', expected = {}, meta = null }) {
+  await fs.ensureDir(SESSIONS_DIR);
+  
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    folder,
+    filename,
+    size,
+    expose,
+    onConflict,
+    expected,
+    meta,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  // The session's size counts against the folder's quotas until it completes or expires, so
+  // concurrent sessions cannot together promise more space than there is
+  return withQuotaLock(folder, async () => {
+    await checkQuota(folder, { bytes: size, files: 1 });
+    
+    const { metaPath, partPath } = sessionPaths(session.id);
+    await fs.writeFile(partPath, '');
+    await fs.writeJson(metaPath, session);
+    recordWrite(folder, { bytes: size });
+    
+    return session;
+  });
+}
+
+/**
+ * Loads an upload session and its committed offset
+ * 
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Object with session and offset
+ * @throws {HttpError} 404 if the session does not exist
+ */
+async function getSession(id) {
+  if (!SESSION_ID_PATTERN.test(id)) {
+    throw new HttpError(404, 'Upload session not found');
+  }
+  
+  const { metaPath, partPath } = sessionPaths(id);
+  
+  if (!await fs.pathExists(metaPath) || !await fs.pathExists(partPath)) {
+    throw new HttpError(404, 'Upload session not found');
+  }
+  
+  const session = await fs.readJson(metaPath);
+  const { size: offset } = await fs.stat(partPath);
+  
+  return { session, offset };
+}
+
+/**
+ * Parses a Content-Range header of the form "bytes start-end/total"
+ * 
+ * @param {string} header - Content-Range header value
+ * @returns {Object} Object with start, end and total (null when given as "*")
+ * @throws {HttpError} 400 if the header is missing or malformed
+ */
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(header || '');
+  
+  if (!match) {
+    throw new HttpError(400, 'Content-Range header must be of the form "bytes start-end/total"');
+  }
+  
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  const total = match[3] === '*' ? null : Number(match[3]);
+  
+  if (end < start) {
+    throw new HttpError(400, 'Content-Range end must not be before start');
+  }
+  
+  return { start, end, total };
+}
+
+/**
+ * Appends a chunk to an upload session
+ * The chunk must start exactly at the committed offset; bytes that arrive before a dropped
+ * connection stay committed, so the client can resume from the reported offset
+ * 
+ * @param {string} id - Session ID
+ * @param {string} contentRange - Content-Range header value
+ * @param {Readable} source - Stream of chunk bytes
+ * @returns {Promise<Object>} Object with session and new offset
+ * @throws {HttpError} 409 if the range does not start at the offset or another chunk is in flight
+ */
+async function appendChunk(id, contentRange, source) {
+  const { session, offset } = await getSession(id);
+  const { start, end, total } = parseContentRange(contentRange);
+  
+  if (total !== null && total !== session.size) {
+    throw new HttpError(400, `Content-Range total must match the session size of ${session.size} bytes`);
+  }
+  
+  if (end >= session.size) {
+    throw new HttpError(416, `Content-Range end must be below the session size of ${session.size} bytes`);
+  }
+  
+  if (start !== offset) {
+    throw new HttpError(409, `Chunk must start at the committed offset ${offset}`);
+  }
+  
+  if (activeSessions.has(id)) {
+    throw new HttpError(409, activeSessions.get(id) === 'complete'
+      ? 'This session is being completed'
+      : 'Another chunk is being uploaded to this session');
+  }
+  
+  activeSessions.set(id, 'chunk');
+  
+  try {
+    const { metaPath, partPath } = sessionPaths(id);
+    await pipeToFile(source, partPath, { maxBytes: end - start + 1, flags: 'a' });
+    
+    session.updatedAt = Date.now();
+    await fs.writeJson(metaPath, session);
+    
+    const { size: newOffset } = await fs.stat(partPath);
+    return { session, offset: newOffset };
+  } finally {
+    activeSessions.delete(id);
+  }
+}
+
+/**
+ * Moves a fully received upload into the public or private root and ends the session
+ * The target path is validated again with the same rules as a direct upload
+ * 
+ * @param {string} id - Session ID
+ * @param {Object} [conditions]
+ * @param {string} [conditions.ifMatch] - If-Match header value
+ * @param {string} [conditions.ifNoneMatch] - If-None-Match header value
+ * @param {Object} [conditions.expected] - Digests the file must have, in addition to those given at creation
+ * @returns {Promise<Object>} Object with the completed session descriptor and the stored file
+ *   (filePath, filename, size, etag, sha256, md5, meta); the filename differs from the session's in 'rename' mode
+ * @throws {HttpError} 409 if bytes are still missing, a chunk is in flight, the session is already being completed or the file exists
+ *   in 'fail' mode, 412 if a precondition fails, 422 if the file does not match an expected digest
+ */
+async function completeSession(id, { ifMatch, ifNoneMatch, expected = {} } = {}) {
+  const { session, offset } = await getSession(id);
+  
+  if (activeSessions.has(id)) {
+    throw new HttpError(409, activeSessions.get(id) === 'complete'
+      ? 'This session is already being completed'
+      : 'A chunk is still being uploaded to this session');
+  }
+  
+  if (offset !== session.size) {
+    throw new HttpError(409, `Upload incomplete: received ${offset} of ${session.size} bytes`);
+  }
+  
+  // Held until the session is gone, so a second complete cannot commit the same part file
+  activeSessions.set(id, 'complete');
+  
+  try {
+    let target;
+    try {
+      target = validatePath(session.folder, session.filename);
+    } catch (validationError) {
+      throw new HttpError(400, validationError.message);
+    }
+    
+    const { folder, filename } = target;
+    const { partPath } = sessionPaths(id);
+    
+    // A mismatch keeps the session, so a wrong expected digest can be corrected by completing again
+    const wanted = {
+      sha256: expected.sha256 || (session.expected && session.expected.sha256) || null,
+      md5: expected.md5 || (session.expected && session.expected.md5) || null
+    };
+    const digests = await hashFile(partPath, wanted);
+    verifyDigests(digests, wanted);
+    
+    const file = await commitFile(folder, filename, partPath, {
+      expose: session.expose,
+      digests,
+      meta: session.meta ? { ...session.meta, uploadedAt: new Date().toISOString() } : null,
+      onConflict: session.onConflict || 'overwrite',
+      counted: true,
+      ifMatch,
+      ifNoneMatch
+    });
+    await removeSession(id);
+    
+    return { session, file };
+  } finally {
+    activeSessions.delete(id);
+  }
+}
+
+/**
+ * Removes an upload session's files
+ * 
+ * @param {string} id - Session ID
+ */
+async function removeSession(id) {
+  const { metaPath, partPath } = sessionPaths(id);
+  await fs.remove(metaPath);
+  await fs.remove(partPath);
+}
+
+/**
+ * Removes sessions that have been idle for longer than UPLOAD_SESSION_TTL
+ * 
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function sweepExpiredSessions() {
+  if (!await fs.pathExists(SESSIONS_DIR)) {
+    return 0;
+  }
+  
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL * 1000;
+  const entries = await fs.readdir(SESSIONS_DIR);
+  let removed = 0;
+  
+  for (const entry of entries) {
+    const id = entry.replace(/\.(json|part)$/, '');
+    if (!entry.endsWith('.json') || activeSessions.has(id)) {
+      continue;
+    }
+    
+    try {
+      const session = await fs.readJson(path.join(SESSIONS_DIR, entry));
+      if (session.updatedAt < cutoff) {
+        await removeSession(id);
+        removed++;
+      }
+    } catch (error) {
+      console.error(`Failed to sweep upload session ${id}:`, error);
+    }
+  }
+  
+  return removed;
+}
+
+/**
+ * Periodically removes abandoned upload sessions
+ * The timer does not keep the process alive on its own
+ */
+function startSessionSweeper() {
+  const intervalMs = Math.min(UPLOAD_SESSION_TTL * 1000, 15 * 60 * 1000);
+  
+  const timer = setInterval(async () => {
+    try {
+      const removed = await sweepExpiredSessions();
+      if (removed > 0) {
+        console.log(`Removed ${removed} expired upload session(s)`);
+      }
+    } catch (error) {
+      console.error('Upload session sweep error:', error);
+    }
+  }, intervalMs);
+  
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  appendChunk,
+  completeSession,
+  removeSession,
+  describeSession,
+  sweepExpiredSessions,
+  startSessionSweeper
+};
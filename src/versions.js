@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { sidecarPath, moveSidecar, removeSidecar } = require('./sidecars');
+const { VERSIONS_MAX } = require('./config');
+
+// Version IDs are the archive time in milliseconds plus a random suffix, so they sort by age
+const VERSION_ID_PATTERN = /^\d{13}-[a-f0-9]{6}$/;
+
+/**
+ * Returns the directory holding a file's prior versions
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @returns {string} Directory path
+ */
+function versionsDir(folder, filename) {
+  return sidecarPath('versions', folder, filename);
+}
+
+/**
+ * Keeps a copy of a file that is about to be overwritten
+ * The copy is a hard link where possible, so archiving costs no extra disk space or time
+ * until the original is replaced; across filesystems it falls back to a full copy
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {string} filePath - Path of the current file
+ * @returns {Promise<string|null>} The new version ID, or null when versioning is disabled
+ */
+async function archiveVersion(folder, filename, filePath) {
+  if (VERSIONS_MAX === 0) {
+    return null;
+  }
+
+  const dir = versionsDir(folder, filename);
+  const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const versionPath = path.join(dir, id);
+
+  await fs.ensureDir(dir);
+
+  try {
+    await fs.link(filePath, versionPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV' && error.code !== 'EPERM') {
+      throw error;
+    }
+    await fs.copy(filePath, versionPath, { preserveTimestamps: true });
+  }
+
+  await pruneVersions(folder, filename);
+
+  return id;
+}
+
+/**
+ * Removes the oldest versions of a file beyond VERSIONS_MAX
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ */
+async function pruneVersions(folder, filename) {
+  const dir = versionsDir(folder, filename);
+  const ids = (await fs.readdir(dir)).filter(id => VERSION_ID_PATTERN.test(id)).sort();
+
+  for (const id of ids.slice(0, Math.max(ids.length - VERSIONS_MAX, 0))) {
+    await fs.remove(path.join(dir, id));
+  }
+}
+
+/**
+ * Lists the prior versions of a file, newest first
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @returns {Promise<Object[]>} Versions with id, size, modified and archivedAt
+ */
+async function listVersions(folder, filename) {
+  const dir = versionsDir(folder, filename);
+
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+
+  const ids = (await fs.readdir(dir)).filter(id => VERSION_ID_PATTERN.test(id)).sort().reverse();
+
+  return Promise.all(ids.map(async (id) => {
+    const stats = await fs.stat(path.join(dir, id));
+    return {
+      id,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      archivedAt: new Date(Number(id.split('-')[0])).toISOString()
+    };
+  }));
+}
+
+/**
+ * Returns the path of a specific prior version of a file
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} filename - The validated filename
+ * @param {string} id - Version ID
+ * @returns {Promise<string>} Path of the version's contents
+ * @throws {HttpError} 404 if the version does not exist
+ */
+async function getVersionPath(folder, filename, id) {
+  if (!VERSION_ID_PATTERN.test(id || '')) {
+    throw new HttpError(404, 'Version not found');
+  }
+
+  const versionPath = path.join(versionsDir(folder, filename), id);
+
+  if (!await fs.pathExists(versionPath)) {
+    throw new HttpError(404, 'Version not found');
+  }
+
+  return versionPath;
+}
+
+/**
+ * Moves the version history of a file or folder to a new path, e.g. after a rename
+ * Histories that already exist at the new path are merged; version IDs never collide
+ *
+ * @param {string} fromFolder - The validated current folder name
+ * @param {string|null} fromFilename - The validated current filename, or null for a whole folder
+ * @param {string} toFolder - The validated new folder name
+ * @param {string|null} toFilename - The validated new filename, or null for a whole folder
+ */
+async function moveVersions(fromFolder, fromFilename, toFolder, toFilename) {
+  const moved = await moveSidecar('versions', fromFolder, fromFilename, toFolder, toFilename);
+
+  if (moved && toFilename) {
+    await pruneVersions(toFolder, toFilename);
+  }
+}
+
+/**
+ * Removes the version history of a file, or of a folder and everything below it
+ *
+ * @param {string} folder - The validated folder name
+ * @param {string} [filename] - The validated filename; omit for the whole folder
+ */
+async function removeVersions(folder, filename = null) {
+  await removeSidecar('versions', folder, filename);
+}
+
+module.exports = {
+  archiveVersion,
+  listVersions,
+  getVersionPath,
+  moveVersions,
+  removeVersions
+};
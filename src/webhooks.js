@@ -0,0 +1,423 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const readline = require('readline');
+const { HttpError } = require('./errors');
+const { globToRegExp, matchesFolder } = require('./pathUtils');
+const { loadTokens, tokenAllows } = require('./tokens');
+const { guardedLookup, parseHttpUrl } = require('./remote');
+const { DATA_DIR, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_DELAY, WEBHOOK_ALLOW_PRIVATE } = require('./config');
+
+/**
+ * Webhook subscriptions and deliveries
+ * Each subscription is a JSON descriptor under DATA_DIR/webhooks, next to a JSON-lines log of its
+ * delivery attempts. Retries are scheduled in memory, so deliveries still pending when the
+ * service stops are not resumed
+ */
+
+// Subscription descriptors (<id>.json) and delivery logs (<id>.log)
+const WEBHOOKS_DIR = path.join(DATA_DIR, 'webhooks');
+
+// Webhook IDs are random hex, which also keeps them safe to use as file names
+const WEBHOOK_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Events a subscription can ask for, and the API actions that trigger them
+const WEBHOOK_EVENTS = ['uploaded', 'deleted', 'renamed', 'exposed', 'unexposed'];
+const ACTION_EVENTS = {
+  file_uploaded: 'uploaded',
+  archive_extracted: 'uploaded',
+  file_deleted: 'deleted',
+  folder_deleted: 'deleted',
+  renamed: 'renamed',
+  copied: 'uploaded',
+  moved: 'renamed',
+  file_exposed: 'exposed',
+  folder_exposed: 'exposed',
+  file_unexposed: 'unexposed',
+  folder_unexposed: 'unexposed'
+};
+
+// Limits on a subscription
+const MAX_FOLDER_FILTERS = 50;
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+
+// Seconds a receiver has to answer a delivery
+const DELIVERY_TIMEOUT = 10;
+
+// Delivery logs are rotated to <id>.log.1 once they grow past this size
+const MAX_LOG_BYTES = 1024 * 1024;
+
+// Subscriptions by ID, loaded from disk on first use
+let cache = null;
+
+/**
+ * Returns the paths of a subscription's descriptor and delivery log
+ *
+ * @param {string} id - Webhook ID
+ * @returns {Object} Object with descriptorPath and logPath
+ */
+function webhookPaths(id) {
+  return {
+    descriptorPath: path.join(WEBHOOKS_DIR, `${id}.json`),
+    logPath: path.join(WEBHOOKS_DIR, `${id}.log`)
+  };
+}
+
+/**
+ * Loads every subscription from disk, once
+ *
+ * @returns {Promise<Map>} Subscriptions by ID
+ */
+async function loadWebhooks() {
+  if (!cache) {
+    cache = (async () => {
+      const webhooks = new Map();
+      const names = await fs.readdir(WEBHOOKS_DIR).catch(() => []);
+
+      for (const name of names.filter(entry => entry.endsWith('.json'))) {
+        try {
+          const webhook = await fs.readJson(path.join(WEBHOOKS_DIR, name));
+          webhooks.set(webhook.id, webhook);
+        } catch (error) {
+          console.error(`Failed to read webhook ${name}:`, error.message);
+        }
+      }
+
+      return webhooks;
+    })();
+  }
+
+  return cache;
+}
+
+/**
+ * Describes a subscription for API responses; the secret is only ever returned on creation
+ *
+ * @param {Object} webhook - Subscription descriptor
+ * @returns {Object} Public view of the subscription
+ */
+function describeWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    folders: webhook.folders,
+    createdAt: webhook.createdAt,
+    createdBy: webhook.createdBy
+  };
+}
+
+/**
+ * Registers a subscription
+ *
+ * @param {Object} input
+ * @param {string} input.url - http(s) URL deliveries are POSTed to
+ * @param {string[]} [input.events] - Events to deliver; all of them when omitted
+ * @param {string[]} [input.folders] - Folder glob patterns, matching nested folders too; all folders when omitted
+ * @param {string} [input.secret] - HMAC secret; generated when omitted
+ * @param {string} createdBy - Name of the token creating it; events are only delivered for folders it may list
+ * @returns {Promise<Object>} The stored descriptor, including the secret
+ * @throws {HttpError} 400 if an input is invalid, 403 if the URL names a private address
+ */
+async function createWebhook({ url, events = WEBHOOK_EVENTS, folders = ['**'], secret }, createdBy) {
+  const target = parseHttpUrl(url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw new HttpError(400, `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (!Array.isArray(folders) || folders.length === 0 || folders.length > MAX_FOLDER_FILTERS
+    || folders.some(folder => typeof folder !== 'string' || !folder)) {
+    throw new HttpError(400, `folders must be a list of 1 to ${MAX_FOLDER_FILTERS} folder patterns`);
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string'
+    || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH)) {
+    throw new HttpError(400, `secret must be ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`);
+  }
+
+  const webhook = {
+    id: crypto.randomBytes(16).toString('hex'),
+    url: target.href,
+    events: [...new Set(events)],
+    folders: [...new Set(folders)],
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    createdBy
+  };
+
+  await fs.ensureDir(WEBHOOKS_DIR);
+  await fs.writeJson(webhookPaths(webhook.id).descriptorPath, webhook, { mode: 0o600 });
+  (await loadWebhooks()).set(webhook.id, webhook);
+
+  return webhook;
+}
+
+/**
+ * Lists subscriptions, oldest first
+ *
+ * @param {Function} [canSee] - Predicate on a descriptor, for token scoping
+ * @returns {Promise<Object[]>} Matching descriptors
+ */
+async function listWebhooks(canSee = () => true) {
+  return [...(await loadWebhooks()).values()]
+    .filter(canSee)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Looks up a subscription
+ *
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object|null>} The descriptor, or null if there is none
+ */
+async function getWebhook(id) {
+  if (!WEBHOOK_ID_PATTERN.test(id)) {
+    return null;
+  }
+  return (await loadWebhooks()).get(id) || null;
+}
+
+/**
+ * Removes a subscription and its delivery log
+ * Retries already scheduled for it are dropped
+ *
+ * @param {string} id - Webhook ID
+ */
+async function deleteWebhook(id) {
+  const { descriptorPath, logPath } = webhookPaths(id);
+
+  (await loadWebhooks()).delete(id);
+  await fs.remove(descriptorPath);
+  await fs.remove(logPath);
+  await fs.remove(`${logPath}.1`);
+}
+
+/**
+ * Appends an attempt to a subscription's delivery log
+ * A failure to write is reported but never stops the delivery
+ *
+ * @param {string} id - Webhook ID
+ * @param {Object} entry - Attempt record
+ */
+async function logDelivery(id, entry) {
+  const { logPath } = webhookPaths(id);
+
+  try {
+    const stats = await fs.stat(logPath).catch(() => null);
+    if (stats && stats.size > MAX_LOG_BYTES) {
+      await fs.move(logPath, `${logPath}.1`, { overwrite: true });
+    }
+    await fs.appendFile(logPath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error('Webhook log write error:', error);
+  }
+}
+
+/**
+ * Reads a subscription's delivery attempts, newest first
+ *
+ * @param {string} id - Webhook ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of attempts to return
+ * @returns {Promise<Object[]>} Attempt records
+ */
+async function readDeliveries(id, { limit = 100 } = {}) {
+  const { logPath } = webhookPaths(id);
+  const entries = [];
+
+  for (const file of [`${logPath}.1`, logPath]) {
+    if (!await fs.pathExists(file)) {
+      continue;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a line cut short by a crash
+      }
+    }
+  }
+
+  return entries.reverse().slice(0, limit);
+}
+
+/**
+ * Signs a delivery body
+ * Receivers recompute the HMAC over "<timestamp>.<body>" and reject stale timestamps to prevent replays
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value, "sha256=<hex>"
+ */
+function signDelivery(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POSTs a delivery body to a subscription's URL
+ *
+ * @param {Object} webhook - Subscription descriptor
+ * @param {Object} delivery - Object with id, event and body
+ * @returns {Promise<number>} Response status code
+ */
+function postDelivery(webhook, delivery) {
+  const url = new URL(webhook.url);
+  const client = url.protocol === 'https:' ? https : http;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(delivery.body),
+        'user-agent': 'file-api-microservice',
+        'x-webhook-id': webhook.id,
+        'x-webhook-event': delivery.event,
+        'x-webhook-delivery': delivery.id,
+        'x-webhook-timestamp': timestamp,
+        'x-webhook-signature': signDelivery(webhook.secret, timestamp, delivery.body)
+      },
+      lookup: guardedLookup(WEBHOOK_ALLOW_PRIVATE),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT * 1000)
+    }, (res) => {
+      // Only the status matters; the body is discarded
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.end(delivery.body);
+  });
+}
+
+/**
+ * Makes one delivery attempt and schedules a retry if it fails
+ * Any 2xx response counts as delivered; retries wait WEBHOOK_RETRY_DELAY seconds, doubling each time
+ *
+ * @param {string} webhookId - Webhook ID; the subscription is looked up again on every attempt
+ * @param {Object} delivery - Object with id, event and body
+ * @param {number} attempt - Attempt number, starting at 1
+ */
+async function attemptDelivery(webhookId, delivery, attempt) {
+  const webhook = await getWebhook(webhookId);
+  if (!webhook) {
+    return;
+  }
+
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    statusCode = await postDelivery(webhook, delivery);
+  } catch (failure) {
+    // The only abort is the delivery timeout
+    error = failure.name === 'AbortError' ? `No response within ${DELIVERY_TIMEOUT} seconds` : failure.message;
+  }
+
+  // Do not recreate the log of a subscription deleted while the request was in flight
+  if (!await getWebhook(webhookId)) {
+    return;
+  }
+
+  const delivered = statusCode !== null && statusCode >= 200 && statusCode <= 299;
+  const retrying = !delivered && attempt < WEBHOOK_MAX_ATTEMPTS;
+
+  await logDelivery(webhookId, {
+    timestamp: new Date(started).toISOString(),
+    delivery: delivery.id,
+    event: delivery.event,
+    attempt,
+    outcome: delivered ? 'delivered' : retrying ? 'retrying' : 'failed',
+    statusCode,
+    error,
+    durationMs: Date.now() - started
+  });
+
+  if (retrying) {
+    const delay = WEBHOOK_RETRY_DELAY * 1000 * 2 ** (attempt - 1);
+    setTimeout(() => attemptDelivery(webhookId, delivery, attempt + 1), delay).unref();
+  }
+}
+
+/**
+ * Delivers an API response to every subscription interested in it
+ * A subscription receives an event when it asked for the event type, one of its folder patterns
+ * matches the response's folder or a folder above it, and the token that created it may still
+ * list that folder
+ *
+ * @param {Object} payload - JSON body the API responded with
+ */
+async function dispatchEvent(payload) {
+  const event = ACTION_EVENTS[payload.action];
+  if (!event || !payload.folder) {
+    return;
+  }
+
+  const webhooks = [...(await loadWebhooks()).values()].filter(webhook => webhook.events.includes(event));
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const tokens = await loadTokens();
+  const body = JSON.stringify(payload);
+
+  for (const webhook of webhooks) {
+    const owner = tokens.find(token => token.name === webhook.createdBy);
+
+    if (!owner || !tokenAllows(owner, 'list', payload.folder)
+      || !matchesFolder(webhook.folders.map(globToRegExp), payload.folder)) {
+      continue;
+    }
+
+    const delivery = { id: crypto.randomBytes(16).toString('hex'), event, body };
+    attemptDelivery(webhook.id, delivery, 1).catch((error) => {
+      console.error('Webhook delivery error:', error);
+    });
+  }
+}
+
+/**
+ * Express middleware that turns successful responses of file actions into webhook events
+ * It wraps res.json, so every route that reports an action triggers the matching event with
+ * exactly the payload it sent to the client
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function webhookMiddleware(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode < 400 && body && body.status === 'ok' && ACTION_EVENTS[body.action]) {
+      dispatchEvent(body).catch((error) => {
+        console.error('Webhook dispatch error:', error);
+      });
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  describeWebhook,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  readDeliveries,
+  webhookMiddleware
+};
@@ -61,6 +61,49 @@ print_result() {
   echo "-----------------------------------"
 }
 
+# Function to start a second API server with settings the main server does not have
+# Usage: start_api_server PORT [VAR=value ...]; it keeps its state in a temporary DATA_DIR
+# and shares the public and private folders with the main server
+start_api_server() {
+  local port=$1
+  shift
+  API_SERVER_DATA=$(mktemp -d)
+  env PORT="$port" PUBLIC_URL="http://localhost:$port" DATA_DIR="$API_SERVER_DATA" "$@" \
+    node src/app.js > "$API_SERVER_DATA/server.log" 2>&1 &
+  API_SERVER_PID=$!
+  for _ in $(seq 1 50); do
+    curl -s -o /dev/null "http://localhost:$port/" && return 0
+    sleep 0.1
+  done
+  echo -e "${RED}Server on port $port did not start${NC}"
+  cat "$API_SERVER_DATA/server.log"
+}
+
+# Function to stop the server started by start_api_server and remove its state
+stop_api_server() {
+  kill "$API_SERVER_PID" 2>/dev/null
+  wait "$API_SERVER_PID" 2>/dev/null
+  rm -rf "$API_SERVER_DATA"
+}
+
+# Function to start a local HTTP server standing in for a remote service
+# Usage: start_http_server PORT 'HANDLER', where HANDLER is a Node.js (req, res) => {...} request listener
+start_http_server() {
+  node -e "require('http').createServer($2).listen($1)" &
+  HTTP_SERVER_PID=$!
+  for _ in $(seq 1 50); do
+    curl -s -o /dev/null "http://localhost:$1/" && return 0
+    sleep 0.1
+  done
+  echo -e "${RED}HTTP server on port $1 did not start${NC}"
+}
+
+# Function to stop the server started by start_http_server
+stop_http_server() {
+  kill "$HTTP_SERVER_PID" 2>/dev/null
+  wait "$HTTP_SERVER_PID" 2>/dev/null
+}
+
 # Create a temporary directory for test files
 mkdir -p test_files
 echo "Test content" > test_files/test.txt
@@ -119,16 +162,38 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Reject folder creation with leading ." "$status_code" "$response_body" 400
 
-# Test: Reject folder creation with / or \ inside the name (400)
+# Test: Reject folder creation with \ inside the name (400)
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/mkdir\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"test\\\\folder\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject folder creation with \\ inside the name" "$status_code" "$response_body" 400
+
+# Test: Reject folder creation with an empty path segment (400)
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/mkdir\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"test//folder\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject folder creation with an empty path segment" "$status_code" "$response_body" 400
+
+# Test: Reject nested folder path with ../ in the middle (400)
 cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/mkdir\" \\
   -H \"Authorization: Bearer $VALID_TOKEN\" \\
   -H \"Content-Type: application/json\" \\
-  -d '{\"folder\": \"test/folder\"}'"
+  -d '{\"folder\": \"test/../../escape\"}'"
 print_command "$cmd"
 response=$(run_curl "$cmd")
 status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
-print_result "Reject folder creation with / inside the name" "$status_code" "$response_body" 400
+print_result "Reject nested folder path with ../ in the middle" "$status_code" "$response_body" 400
 
 # Test: Reject filename with ../ or path traversal (400)
 cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
@@ -180,6 +245,35 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Binary upload works with X-Folder, X-Filename, and X-Expose" "$status_code" "$response_body" 200
 
+# Test: Multipart upload stores every file part
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -F folder=test-multipart -F expose=true \\
+  -F file=@test_files/test.txt \\
+  -F \"file=@test_files/test.txt;filename=second.txt\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+file_count=$(echo "$response_body" | jq '.files | length' 2>/dev/null)
+if [ "$status_code" -eq 200 ] && [ "$file_count" = "2" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Multipart upload stores every file part (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Multipart upload stores every file part (Status: $status_code)"
+fi
+echo "$response_body" | jq . 2>/dev/null || echo "$response_body"
+echo "-----------------------------------"
+
+# Test: Multipart upload fails without a folder field (400)
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -F file=@test_files/test.txt"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Multipart upload fails without a folder field" "$status_code" "$response_body" 400
+
 # Test: Binary upload fails if required headers are missing (400)
 cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
   -H \"Authorization: Bearer $VALID_TOKEN\" \\
@@ -214,6 +308,35 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Upload exposes folder when expose: true" "$status_code" "$response_body" 200
 
+# Test: Resumable upload session accepts chunks and completes
+cmd="curl -s -X POST \"$BASE_URL/uploads\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"test-resumable\", \"filename\": \"chunked.txt\", \"size\": 12}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+upload_id=$(echo "$response" | jq -r '.upload.id' 2>/dev/null)
+
+for range in "0-5:Test c" "6-11:ontent"; do
+  bytes="${range%%:*}"
+  chunk="${range#*:}"
+  chunk_cmd="curl -s -X PUT \"$BASE_URL/uploads/$upload_id\" \\
+    -H \"Authorization: Bearer $VALID_TOKEN\" \\
+    -H \"Content-Type: application/octet-stream\" \\
+    -H \"Content-Range: bytes $bytes/12\" \\
+    --data-binary '$chunk'"
+  print_command "Then: $chunk_cmd"
+  run_curl "$chunk_cmd > /dev/null"
+done
+
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/uploads/$upload_id/complete\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "Finally: $cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Resumable upload session accepts chunks and completes" "$status_code" "$response_body" 200
+
 # 📂 Folder + File Operations Tests
 print_header "📂 Folder + File Operations Tests"
 
@@ -239,6 +362,46 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Can create a folder via /mkdir (exposed)" "$status_code" "$response_body" 200
 
+# Test: Can create a nested folder via /mkdir
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/mkdir\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"test-nested/2026/invoices\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can create a nested folder via /mkdir" "$status_code" "$response_body" 200
+
+# Test: Can upload into a nested folder and fetch it by its public URL
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"test-nested/2026/invoices\", \"filename\": \"nested.txt\", \"base64\": \"VGVzdCBjb250ZW50\", \"expose\": true}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/test-nested/2026/invoices/nested.txt\""
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can upload into a nested folder and fetch it by its public URL" "$status_code" "$response_body" 200
+
+# Test: Recursive listing includes files in subfolders
+cmd="curl -s -X GET \"$BASE_URL/list/test-nested?recursive=true\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+nested_name=$(echo "$response" | jq -r '.files[0].name' 2>/dev/null)
+if [ "$nested_name" = "2026/invoices/nested.txt" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Recursive listing includes files in subfolders"
+else
+  echo -e "${RED}✗ FAIL${NC} - Recursive listing includes files in subfolders"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
 # Test: Can list all folders via /list
 cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/list\" \\
   -H \"Authorization: Bearer $VALID_TOKEN\""
@@ -305,6 +468,39 @@ response=$(run_curl "$cmd")
 status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Can delete a file" "$status_code" "$response_body" 200
+trash_id=$(echo "$response_body" | jq -r '.trash.id' 2>/dev/null)
+
+# Test: Deleted file is listed in the trash
+cmd="curl -s -X GET \"$BASE_URL/trash?folder=rename-test\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+trashed_file=$(echo "$response" | jq -r ".items[] | select(.id == \"$trash_id\") | .file" 2>/dev/null)
+if [ "$trashed_file" = "renamed.txt" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Deleted file is listed in the trash"
+else
+  echo -e "${RED}✗ FAIL${NC} - Deleted file is listed in the trash"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Can restore a file from the trash
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/trash/restore\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"id\": \"$trash_id\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can restore a file from the trash" "$status_code" "$response_body" 200
+
+# Test: Restoring the same item twice returns 404
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Restoring the same item twice returns 404" "$status_code" "$response_body" 404
 
 # Test: Can delete a folder and all contents
 cmd="curl -s -w \"\n%{http_code}\" -X DELETE \"$BASE_URL/delete/rename-test\" \\
@@ -314,6 +510,37 @@ response=$(run_curl "$cmd")
 status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Can delete a folder and all contents" "$status_code" "$response_body" 200
+trash_id=$(echo "$response_body" | jq -r '.trash.id' 2>/dev/null)
+
+# Test: Can purge an item from the trash
+cmd="curl -s -w \"\n%{http_code}\" -X DELETE \"$BASE_URL/trash?id=$trash_id\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can purge an item from the trash" "$status_code" "$response_body" 200
+
+# Test: permanent=true deletes without using the trash
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"trash-test\", \"filename\": \"gone.txt\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+
+cmd="curl -s -X DELETE \"$BASE_URL/delete/trash-test/gone.txt?permanent=true\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+trash_entry=$(echo "$response" | jq -r '.trash' 2>/dev/null)
+if [ "$(echo "$response" | jq -r '.status' 2>/dev/null)" = "ok" ] && [ "$trash_entry" = "null" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - permanent=true deletes without using the trash"
+else
+  echo -e "${RED}✗ FAIL${NC} - permanent=true deletes without using the trash"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
 
 # 🌐 Public File Access Tests
 print_header "🌐 Public File Access Tests"
@@ -341,6 +568,31 @@ fi
 echo "Content: $response_body"
 echo "-----------------------------------"
 
+# Test: Public files support byte ranges
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/public-test/public.txt\" \\
+  -H \"Range: bytes=5-11\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+if [ "$status_code" -eq 206 ] && [ "$response_body" = "content" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Public files support byte ranges (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Public files support byte ranges (Status: $status_code)"
+fi
+echo "Content: $response_body"
+echo "-----------------------------------"
+
+# Test: If-None-Match with the current ETag returns 304
+public_etag=$(curl -s -I "$BASE_URL/public/public-test/public.txt" | grep -i '^etag:' | cut -d' ' -f2 | tr -d '\r')
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/public-test/public.txt\" \\
+  -H 'If-None-Match: $public_etag'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "If-None-Match with the current ETag returns 304" "$status_code" "$response_body" 304
+
 # Test: Accessing /public/../.env or similar is blocked or returns 404
 cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/../.env\""
 print_command "$cmd"
@@ -372,6 +624,127 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Accessing an unexposed file returns 404" "$status_code" "$response_body" 404
 
+# 📥 Download Endpoint Tests
+print_header "📥 Download Endpoint Tests"
+
+# Test: Private file can be downloaded with a valid token
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/download/private-test/private.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+if [ "$status_code" -eq 200 ] && [ "$response_body" = "Private content" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Private file can be downloaded with a valid token (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Private file can be downloaded with a valid token (Status: $status_code)"
+fi
+echo "Content: $response_body"
+echo "-----------------------------------"
+
+# Test: Download with ?inline=true sets an inline Content-Disposition
+cmd="curl -s -D - -o /dev/null -X GET \"$BASE_URL/download/private-test/private.txt?inline=true\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if echo "$response" | grep -qi "^content-disposition: inline"; then
+  echo -e "${GREEN}✓ PASS${NC} - Download with ?inline=true sets an inline Content-Disposition"
+else
+  echo -e "${RED}✗ FAIL${NC} - Download with ?inline=true sets an inline Content-Disposition"
+fi
+echo "$response"
+echo "-----------------------------------"
+
+# Test: Download requires a token (401)
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/download/private-test/private.txt\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Download requires a token" "$status_code" "$response_body" 401
+
+# Test: Downloading a missing file returns 404
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/download/private-test/missing.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Downloading a missing file returns 404" "$status_code" "$response_body" 404
+
+# ✍️ Signed URL Tests
+print_header "✍️ Signed URL Tests"
+
+# Test: Can sign a private file
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/sign\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"private-test\", \"filename\": \"private.txt\", \"ttl\": 60}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can sign a private file" "$status_code" "$response_body" 200
+signed_url=$(echo "$response_body" | jq -r '.url' 2>/dev/null)
+signed_path="${signed_url#*/signed/}"
+
+# Test: Signed URL serves the file without a token
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/signed/$signed_path\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+if [ "$status_code" -eq 200 ] && [ "$response_body" = "Private content" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Signed URL serves the file without a token (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Signed URL serves the file without a token (Status: $status_code)"
+fi
+echo "Content: $response_body"
+echo "-----------------------------------"
+
+# Test: Tampered signature returns 403
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/signed/private-test/private.txt?expires=9999999999&sig=deadbeef\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Tampered signature returns 403" "$status_code" "$response_body" 403
+
+# Test: Without API_TOKEN or SIGNING_SECRET, a signing secret is generated and kept in DATA_DIR
+echo '{"tokens": [{"name": "signer", "token": "signer_test_token"}]}' > test_files/tokens.json
+start_api_server 3001 API_TOKEN= SIGNING_SECRET= TOKENS_FILE="$PWD/test_files/tokens.json"
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"http://localhost:3001/sign\" \\
+  -H \"Authorization: Bearer signer_test_token\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"private-test\", \"filename\": \"private.txt\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+signed_url=$(echo "$response_body" | jq -r '.url' 2>/dev/null)
+content=$(curl -s "$signed_url")
+if [ "$status_code" -eq 200 ] && [ "$content" = "Private content" ] && [ -s "$API_SERVER_DATA/signing-secret" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Tokens-file-only setup signs URLs with a generated secret (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Tokens-file-only setup signs URLs with a generated secret (Status: $status_code)"
+fi
+echo "$response_body" | jq . 2>/dev/null || echo "$response_body"
+echo "-----------------------------------"
+stop_api_server
+
+# Test: If no secret can be generated, /sign returns 503 instead of a crypto error
+start_api_server 3001 API_TOKEN= SIGNING_SECRET= TOKENS_FILE="$PWD/test_files/tokens.json" DATA_DIR="$PWD/test_files/test.txt/data"
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"http://localhost:3001/sign\" \\
+  -H \"Authorization: Bearer signer_test_token\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"private-test\", \"filename\": \"private.txt\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Signing without a usable secret returns 503" "$status_code" "$response_body" 503
+stop_api_server
+
 # 🔄 Exposure Toggle Tests
 print_header "🔄 Exposure Toggle Tests"
 
@@ -418,6 +791,1219 @@ status_code=$(echo "$response" | tail -n1)
 response_body=$(echo "$response" | sed '$d')
 print_result "Listing a folder reflects correct visibility and url field in JSON" "$status_code" "$response_body" 200
 
+# Test: /expose/:folder/:filename publishes a single file
+# First, upload two hidden files
+for name in keep-hidden.txt make-public.txt; do
+  upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+    -H \"Authorization: Bearer $VALID_TOKEN\" \\
+    -H \"Content-Type: application/json\" \\
+    -d '{\"folder\": \"file-toggle\", \"filename\": \"$name\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+  print_command "First: $upload_cmd"
+  run_curl "$upload_cmd > /dev/null"
+done
+
+# Then expose one of them
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/expose/file-toggle/make-public.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "/expose/:folder/:filename publishes a single file" "$status_code" "$response_body" 200
+
+# Test: Listing a mixed folder reports per-file visibility
+cmd="curl -s -X GET \"$BASE_URL/list/file-toggle\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+folder_visibility=$(echo "$response" | jq -r '.visibility' 2>/dev/null)
+hidden_visibility=$(echo "$response" | jq -r '.files[] | select(.name == "keep-hidden.txt") | .visibility' 2>/dev/null)
+public_visibility=$(echo "$response" | jq -r '.files[] | select(.name == "make-public.txt") | .visibility' 2>/dev/null)
+if [ "$folder_visibility" = "mixed" ] && [ "$hidden_visibility" = "hidden" ] && [ "$public_visibility" = "exposed" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Listing a mixed folder reports per-file visibility"
+else
+  echo -e "${RED}✗ FAIL${NC} - Listing a mixed folder reports per-file visibility"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: /unexpose/:folder/:filename hides a single file
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/unexpose/file-toggle/make-public.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "/unexpose/:folder/:filename hides a single file" "$status_code" "$response_body" 200
+
+# ⚔️ Conflict Handling Tests
+print_header "⚔️ Conflict Handling Tests"
+
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"conflict-test\", \"filename\": \"report.pdf\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+
+# Test: onConflict=fail refuses to overwrite an existing file
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"conflict-test\", \"filename\": \"report.pdf\", \"base64\": \"VGVzdCBjb250ZW50\", \"onConflict\": \"fail\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "onConflict=fail refuses to overwrite an existing file" "$status_code" "$response_body" 409
+
+# Test: onConflict=rename stores the file under a free name
+cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"conflict-test\", \"filename\": \"report.pdf\", \"base64\": \"VGVzdCBjb250ZW50\", \"onConflict\": \"rename\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$(echo "$response" | jq -r '.file' 2>/dev/null)" = "report-1.pdf" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - onConflict=rename stores the file under a free name"
+else
+  echo -e "${RED}✗ FAIL${NC} - onConflict=rename stores the file under a free name"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: If-Match with a stale ETag returns 412
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -H 'If-Match: \"stale\"' \\
+  -d '{\"folder\": \"conflict-test\", \"filename\": \"report.pdf\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "If-Match with a stale ETag returns 412" "$status_code" "$response_body" 412
+
+# Test: If-None-Match: * only creates new files
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -H 'If-None-Match: *' \\
+  -d '{\"folder\": \"conflict-test\", \"filename\": \"report.pdf\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "If-None-Match: * only creates new files" "$status_code" "$response_body" 412
+
+# Test: Renaming a folder onto an existing one with onConflict=fail returns 409
+cmd="curl -s -w \"\n%{http_code}\" -X PATCH \"$BASE_URL/rename\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"type\": \"folder\", \"folder\": \"conflict-test\", \"newName\": \"file-toggle\", \"onConflict\": \"fail\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Renaming a folder onto an existing one with onConflict=fail returns 409" "$status_code" "$response_body" 409
+
+# 🕘 Version Tests
+print_header "🕘 Version Tests"
+
+# Test: Overwriting a file keeps the previous version
+for content in VmVyc2lvbiBvbmU= VmVyc2lvbiB0d28=; do
+  upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+    -H \"Authorization: Bearer $VALID_TOKEN\" \\
+    -H \"Content-Type: application/json\" \\
+    -d '{\"folder\": \"version-test\", \"filename\": \"report.txt\", \"base64\": \"$content\"}'"
+  print_command "First: $upload_cmd"
+  run_curl "$upload_cmd > /dev/null"
+done
+
+cmd="curl -s -X GET \"$BASE_URL/versions/version-test/report.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+version_id=$(echo "$response" | jq -r '.versions[0].id' 2>/dev/null)
+if [ "$(echo "$response" | jq -r '.versions | length' 2>/dev/null)" = "1" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Overwriting a file keeps the previous version"
+else
+  echo -e "${RED}✗ FAIL${NC} - Overwriting a file keeps the previous version"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Can download a prior version
+cmd="curl -s -X GET \"$BASE_URL/download/version-test/report.txt?version=$version_id\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$response" = "Version one" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Can download a prior version"
+else
+  echo -e "${RED}✗ FAIL${NC} - Can download a prior version"
+fi
+echo "Content: $response"
+echo "-----------------------------------"
+
+# Test: Can restore a prior version
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/versions/restore\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"version-test\", \"filename\": \"report.txt\", \"version\": \"$version_id\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Can restore a prior version" "$status_code" "$response_body" 200
+
+# Test: Unknown version returns 404
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/download/version-test/report.txt?version=0000000000000-000000\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Unknown version returns 404" "$status_code" "$response_body" 404
+
+# 🔏 Integrity Tests
+print_header "🔏 Integrity Tests"
+
+# Test: Uploads report the SHA-256 of the stored file
+cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"integrity-test\", \"filename\": \"hello.txt\", \"base64\": \"aGVsbG8=\", \"sha256\": \"2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+upload_sha=$(echo "$response" | jq -r '.sha256' 2>/dev/null)
+if [ "$upload_sha" = "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Upload with a matching SHA-256 returns the digest"
+else
+  echo -e "${RED}✗ FAIL${NC} - Upload with a matching SHA-256 returns the digest"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: A mismatching Content-Digest is rejected with 422
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: integrity-test\" \\
+  -H \"X-Filename: corrupt.txt\" \\
+  -H \"Content-Digest: sha-256=:LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=:\" \\
+  --data-binary 'goodbye'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Mismatching Content-Digest returns 422" "$status_code" "$response_body" 422
+
+# Test: A malformed expected digest is rejected with 400
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: integrity-test\" \\
+  -H \"X-Filename: corrupt.txt\" \\
+  -H \"X-Checksum-SHA256: not-a-digest\" \\
+  --data-binary 'goodbye'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Malformed X-Checksum-SHA256 returns 400" "$status_code" "$response_body" 400
+
+# Test: Listings include the recorded SHA-256, and rejected uploads leave nothing behind
+cmd="curl -s -X GET \"$BASE_URL/list/integrity-test\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+list_sha=$(echo "$response" | jq -r '.files[] | select(.name == "hello.txt") | .sha256' 2>/dev/null)
+file_count=$(echo "$response" | jq '.files | length' 2>/dev/null)
+if [ "$list_sha" = "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824" ] && [ "$file_count" = "1" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Listing shows the SHA-256 and no rejected uploads"
+else
+  echo -e "${RED}✗ FAIL${NC} - Listing shows the SHA-256 and no rejected uploads"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# 🏷️ Metadata Tests
+print_header "🏷️ Metadata Tests"
+
+# Test: Upload stores the supplied MIME type, tags and custom fields
+cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"meta-test\", \"filename\": \"notes.dat\", \"base64\": \"aGVsbG8=\", \"mimetype\": \"text/plain\", \"tags\": [\"draft\"], \"custom\": {\"project\": \"apollo\"}, \"expose\": true}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+meta_check=$(echo "$response" | jq -r '[.metadata.mimetype, .metadata.tags[0], .metadata.custom.project, .metadata.uploadedBy] | join(",")' 2>/dev/null)
+if [ "$meta_check" = "text/plain,draft,apollo,default" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Upload records metadata"
+else
+  echo -e "${RED}✗ FAIL${NC} - Upload records metadata"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: The public URL serves the stored MIME type instead of one guessed from the extension
+cmd="curl -s -o /dev/null -w \"%{content_type}\" \"$BASE_URL/public/meta-test/notes.dat\""
+print_command "$cmd"
+content_type=$(run_curl "$cmd")
+if [[ "$content_type" == text/plain* ]]; then
+  echo -e "${GREEN}✓ PASS${NC} - File is served with the stored MIME type"
+else
+  echo -e "${RED}✗ FAIL${NC} - File is served with the stored MIME type (got $content_type)"
+fi
+echo "-----------------------------------"
+
+# Test: PATCH /meta replaces tags and merges custom fields
+cmd="curl -s -X PATCH \"$BASE_URL/meta/meta-test/notes.dat\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"tags\": [\"final\"], \"custom\": {\"reviewed\": true}}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+cmd="curl -s -X GET \"$BASE_URL/meta/meta-test/notes.dat\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+meta_check=$(echo "$response" | jq -r '[(.metadata.tags | join("+")), .metadata.custom.project, .metadata.custom.reviewed] | map(tostring) | join(",")' 2>/dev/null)
+if [ "$meta_check" = "final,apollo,true" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - GET /meta returns the updated metadata"
+else
+  echo -e "${RED}✗ FAIL${NC} - GET /meta returns the updated metadata"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Invalid metadata is rejected with 400
+cmd="curl -s -w \"\n%{http_code}\" -X PATCH \"$BASE_URL/meta/meta-test/notes.dat\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"custom\": {\"nested\": {\"not\": \"allowed\"}}}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Nested custom metadata returns 400" "$status_code" "$response_body" 400
+
+# Test: Listings include each file's metadata
+cmd="curl -s -X GET \"$BASE_URL/list/meta-test\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+list_tags=$(echo "$response" | jq -r '.files[0].metadata.tags | join("+")' 2>/dev/null)
+if [ "$list_tags" = "final" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Listing includes file metadata"
+else
+  echo -e "${RED}✗ FAIL${NC} - Listing includes file metadata"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# 🔎 Search and Pagination Tests
+print_header "🔎 Search and Pagination Tests"
+
+# Upload three files of different sizes to page and search through
+for size in 10 20 30; do
+  head -c $size /dev/zero | tr '\0' 'x' > "test_files/page-$size.txt"
+  curl -s -X POST "$BASE_URL/upload" \
+    -H "Authorization: Bearer $VALID_TOKEN" \
+    -H "Content-Type: application/octet-stream" \
+    -H "X-Folder: search-test" \
+    -H "X-Filename: page-$size.txt" \
+    -H "X-Tags: size-$size" \
+    --data-binary "@test_files/page-$size.txt" > /dev/null
+done
+
+# Test: /list/:folder pages through files with a cursor
+cmd="curl -s -X GET \"$BASE_URL/list/search-test?limit=2\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+first_page=$(echo "$response" | jq -r '[.files[].name] | join(",")' 2>/dev/null)
+next_cursor=$(echo "$response" | jq -r '.nextCursor' 2>/dev/null)
+cmd="curl -s -X GET \"$BASE_URL/list/search-test?limit=2&cursor=$next_cursor\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+second_page=$(echo "$response" | jq -r '[.files[].name] | join(",")' 2>/dev/null)
+last_cursor=$(echo "$response" | jq -r '.nextCursor' 2>/dev/null)
+if [ "$first_page" = "page-10.txt,page-20.txt" ] && [ "$second_page" = "page-30.txt" ] && [ "$last_cursor" = "null" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Listing pages through files with a cursor"
+else
+  echo -e "${RED}✗ FAIL${NC} - Listing pages through files with a cursor"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: /list/:folder sorts by size, largest first
+cmd="curl -s -X GET \"$BASE_URL/list/search-test?sort=size&order=desc\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+sizes=$(echo "$response" | jq -r '[.files[].size] | map(tostring) | join(",")' 2>/dev/null)
+if [ "$sizes" = "30,20,10" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Listing sorts by size"
+else
+  echo -e "${RED}✗ FAIL${NC} - Listing sorts by size"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: /search combines substring, size and tag filters
+cmd="curl -s -X GET \"$BASE_URL/search?q=PAGE&minSize=15&tag=size-30\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+search_paths=$(echo "$response" | jq -r '[.files[].path] | join(",")' 2>/dev/null)
+if [ "$search_paths" = "search-test/page-30.txt" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Search filters by name, size and tag"
+else
+  echo -e "${RED}✗ FAIL${NC} - Search filters by name, size and tag"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Invalid sort field returns 400
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/search?sort=color\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Invalid sort field returns 400" "$status_code" "$response_body" 400
+
+# 🗜️ Archive Tests
+print_header "🗜️ Archive Tests"
+
+# Test: /archive/:folder streams the folder as a ZIP
+cmd="curl -s -o test_files/search-test.zip -w \"%{http_code} %{content_type}\" \"$BASE_URL/archive/search-test\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$response" = "200 application/zip" ] && [ "$(head -c 2 test_files/search-test.zip)" = "PK" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Folder downloads as a ZIP archive"
+else
+  echo -e "${RED}✗ FAIL${NC} - Folder downloads as a ZIP archive ($response)"
+fi
+echo "-----------------------------------"
+
+# Test: A file list picks a subset for a tar.gz archive
+cmd="curl -s -o test_files/subset.tar.gz \"$BASE_URL/archive/search-test?format=tar.gz&files=page-10.txt,page-30.txt\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+run_curl "$cmd" > /dev/null
+archived=$(tar tzf test_files/subset.tar.gz 2>/dev/null | sort | tr '\n' ',')
+if [ "$archived" = "page-10.txt,page-30.txt," ]; then
+  echo -e "${GREEN}✓ PASS${NC} - tar.gz archive contains only the listed files"
+else
+  echo -e "${RED}✗ FAIL${NC} - tar.gz archive contains only the listed files ($archived)"
+fi
+echo "-----------------------------------"
+
+# Test: A pattern that matches nothing returns 404
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/archive/search-test?pattern=*.pdf\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Archive with no matching files returns 404" "$status_code" "$response_body" 404
+
+# Test: Archives require authentication
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/archive/search-test\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Archive without a token returns 401" "$status_code" "$response_body" 401
+
+# Test: Only the listed formats are accepted, not names inherited by every object
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/archive/search-test?format=constructor\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Archive with format=constructor returns 400" "$status_code" "$response_body" 400
+
+# 📂 Extract Tests
+print_header "📂 Extract Tests"
+
+# Test: The ZIP downloaded above unpacks into another folder
+cmd="curl -s -X POST \"$BASE_URL/extract\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: extract-test\" \\
+  -H \"X-Filename: search-test.zip\" \\
+  --data-binary @test_files/search-test.zip"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+extracted=$(echo "$response" | jq -r '[.files[].path] | sort | join(",")' 2>/dev/null)
+if [ "$extracted" = "extract-test/page-10.txt,extract-test/page-20.txt,extract-test/page-30.txt" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - ZIP archive is extracted into the folder"
+else
+  echo -e "${RED}✗ FAIL${NC} - ZIP archive is extracted into the folder ($extracted)"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Entries that would land outside the folder are rejected (zip-slip)
+tar czf test_files/slip.tar.gz --transform 's,^,../,' -C test_files test.txt 2>/dev/null
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/extract\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: extract-test\" \\
+  --data-binary @test_files/slip.tar.gz"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject archive entries with ../" "$status_code" "$response_body" 400
+
+# Test: Symbolic links are rejected
+ln -sf /etc/passwd test_files/passwd-link
+tar czf test_files/link.tar.gz -C test_files passwd-link
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/extract\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: extract-test\" \\
+  --data-binary @test_files/link.tar.gz"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject archives containing symlinks" "$status_code" "$response_body" 400
+
+# Test: Something that is not an archive is refused
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/extract\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: extract-test\" \\
+  --data-binary @test_files/test.txt"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject uploads that are not ZIP or tar.gz" "$status_code" "$response_body" 415
+
+# Test: The format header is checked the same way as for /archive
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/extract\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/octet-stream\" \\
+  -H \"X-Folder: extract-test\" \\
+  -H \"X-Format: constructor\" \\
+  --data-binary @test_files/search-test.zip"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+message=$(echo "$response_body" | jq -r '.message' 2>/dev/null)
+if [ "$status_code" -eq 400 ] && [[ "$message" == "format must be one of"* ]]; then
+  echo -e "${GREEN}✓ PASS${NC} - Extract with X-Format: constructor is an unknown format (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Extract with X-Format: constructor is an unknown format (Status: $status_code)"
+fi
+echo "$response_body" | jq . 2>/dev/null || echo "$response_body"
+echo "-----------------------------------"
+
+# 🌐 Fetch Tests
+print_header "🌐 Fetch Tests"
+
+# Test: Fetching from a loopback address is refused (SSRF protection, unless FETCH_ALLOW_PRIVATE=true)
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://127.0.0.1/secret.txt\", \"folder\": \"fetch-test\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject fetching from a loopback address" "$status_code" "$response_body" 403
+
+# Test: Hostnames resolving to a private address are refused too
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://localhost/secret.txt\", \"folder\": \"fetch-test\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject fetching from a hostname that resolves to loopback" "$status_code" "$response_body" 403
+
+# Test: IPv6 addresses that embed an IPv4 address are refused too (NAT64, IPv4-compatible, 6to4)
+for address in "64:ff9b::7f00:1" "::127.0.0.1" "64:ff9b:1::a00:1" "2002:7f00:1::1"; do
+  cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://[$address]/secret.txt\", \"folder\": \"fetch-test\"}'"
+  print_command "$cmd"
+  response=$(run_curl "$cmd")
+  status_code=$(echo "$response" | tail -n1)
+  response_body=$(echo "$response" | sed '$d')
+  print_result "Reject fetching from [$address]" "$status_code" "$response_body" 403
+done
+
+# Test: Only http and https URLs can be fetched
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"file:///etc/passwd\", \"folder\": \"fetch-test\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject non-HTTP URLs" "$status_code" "$response_body" 400
+
+# The tests below fetch from a local source through a second API server that allows private
+# addresses: /report.txt is a small file, /large.bin is over that server's UPLOAD_MAX_BYTES
+# and /slow does not finish within its FETCH_TIMEOUT
+start_http_server 3011 "(req, res) => {
+  if (req.url === '/report.txt') return res.end('Fetched content');
+  if (req.url === '/large.bin') return res.end(Buffer.alloc(4096));
+  if (req.url === '/slow') { res.write('partial'); return setTimeout(() => res.end(), 5000); }
+  res.statusCode = 404;
+  res.end();
+}"
+start_api_server 3001 API_TOKEN="$VALID_TOKEN" FETCH_ALLOW_PRIVATE=true FETCH_TIMEOUT=1 UPLOAD_MAX_BYTES=1024
+
+# Test: A file is fetched and stored
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"http://localhost:3001/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://127.0.0.1:3011/report.txt\", \"folder\": \"fetch-test\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+source_url=$(echo "$response_body" | jq -r '.source' 2>/dev/null)
+content=$(curl -s "http://localhost:3001/download/fetch-test/report.txt" -H "Authorization: Bearer $VALID_TOKEN")
+if [ "$status_code" -eq 200 ] && [ "$source_url" = "http://127.0.0.1:3011/report.txt" ] && [ "$content" = "Fetched content" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Fetched file is stored under the name from the URL (Status: $status_code)"
+else
+  echo -e "${RED}✗ FAIL${NC} - Fetched file is stored under the name from the URL (Status: $status_code, Content: $content)"
+fi
+echo "$response_body" | jq . 2>/dev/null || echo "$response_body"
+echo "-----------------------------------"
+
+# Test: A source larger than UPLOAD_MAX_BYTES is refused
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"http://localhost:3001/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://127.0.0.1:3011/large.bin\", \"folder\": \"fetch-test\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Fetching a file over UPLOAD_MAX_BYTES returns 413" "$status_code" "$response_body" 413
+
+# Test: A source that does not finish within FETCH_TIMEOUT times out
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"http://localhost:3001/fetch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://127.0.0.1:3011/slow\", \"folder\": \"fetch-test\", \"filename\": \"slow.txt\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Fetching from a slow source returns 504" "$status_code" "$response_body" 504
+
+# Test: Neither failed fetch left a file behind
+files=$(curl -s "http://localhost:3001/list/fetch-test" -H "Authorization: Bearer $VALID_TOKEN" | jq -r '[.files[].name] | join(",")' 2>/dev/null)
+if [ "$files" = "report.txt" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Failed fetches leave no partial files"
+else
+  echo -e "${RED}✗ FAIL${NC} - Failed fetches leave no partial files ($files)"
+fi
+echo "-----------------------------------"
+
+curl -s -o /dev/null -X DELETE "http://localhost:3001/delete/fetch-test" -H "Authorization: Bearer $VALID_TOKEN"
+stop_api_server
+stop_http_server
+
+# 🪝 Webhook Tests
+print_header "🪝 Webhook Tests"
+
+# Test: Register a webhook; the secret is returned once
+cmd="curl -s -X POST \"$BASE_URL/webhooks\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"https://example.com/hooks/files\", \"events\": [\"uploaded\"], \"folders\": [\"webhook-test\"]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+webhook_id=$(echo "$response" | jq -r '.webhook.id' 2>/dev/null)
+webhook_secret=$(echo "$response" | jq -r '.secret' 2>/dev/null)
+if [ ${#webhook_id} -eq 32 ] && [ ${#webhook_secret} -eq 64 ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Webhook is registered with a generated secret"
+else
+  echo -e "${RED}✗ FAIL${NC} - Webhook is registered with a generated secret"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Listing shows the webhook without its secret
+cmd="curl -s -X GET \"$BASE_URL/webhooks\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+listed=$(echo "$response" | jq -r --arg id "$webhook_id" '[.webhooks[] | select(.id == $id and .secret == null)] | length' 2>/dev/null)
+if [ "$listed" = "1" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Webhook is listed without its secret"
+else
+  echo -e "${RED}✗ FAIL${NC} - Webhook is listed without its secret"
+fi
+echo "-----------------------------------"
+
+# Test: Delete the webhook so later tests do not trigger deliveries
+cmd="curl -s -w \"\n%{http_code}\" -X DELETE \"$BASE_URL/webhooks/$webhook_id\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Delete webhook" "$status_code" "$response_body" 200
+
+# Test: Webhooks cannot target loopback addresses (unless WEBHOOK_ALLOW_PRIVATE=true)
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/webhooks\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"http://127.0.0.1:8080/hook\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject webhooks to loopback addresses" "$status_code" "$response_body" 403
+
+# Test: Unknown event types are rejected
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/webhooks\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"url\": \"https://example.com/hook\", \"events\": [\"created\"]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject unknown webhook events" "$status_code" "$response_body" 400
+
+# The tests below deliver to a local receiver through a second API server that allows private
+# addresses and retries quickly: /ok accepts every delivery, /failing answers 500 to all of them.
+# The receiver records each POST with its headers, raw body and arrival time
+rm -f test_files/deliveries.jsonl
+start_http_server 3012 "(req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    if (req.method === 'POST') {
+      const record = { path: req.url, headers: req.headers, body, receivedAt: Date.now() };
+      require('fs').appendFileSync('$PWD/test_files/deliveries.jsonl', JSON.stringify(record) + '\\n');
+    }
+    res.statusCode = req.url === '/failing' ? 500 : 200;
+    res.end();
+  });
+}"
+start_api_server 3001 API_TOKEN="$VALID_TOKEN" WEBHOOK_ALLOW_PRIVATE=true WEBHOOK_RETRY_DELAY=1 WEBHOOK_MAX_ATTEMPTS=3
+
+ok_hook=$(curl -s -X POST "http://localhost:3001/webhooks" \
+  -H "Authorization: Bearer $VALID_TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"url": "http://127.0.0.1:3012/ok", "events": ["uploaded"], "folders": ["webhook-test"]}')
+ok_hook_id=$(echo "$ok_hook" | jq -r '.webhook.id' 2>/dev/null)
+ok_hook_secret=$(echo "$ok_hook" | jq -r '.secret' 2>/dev/null)
+failing_hook_id=$(curl -s -X POST "http://localhost:3001/webhooks" \
+  -H "Authorization: Bearer $VALID_TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"url": "http://127.0.0.1:3012/failing", "events": ["uploaded"], "folders": ["webhook-test"]}' | jq -r '.webhook.id' 2>/dev/null)
+
+# Test: An upload into a watched folder is POSTed to the receiver
+cmd="curl -s -X POST \"http://localhost:3001/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"webhook-test\", \"filename\": \"hooked.txt\", \"base64\": \"VGVzdCBjb250ZW50\"}'"
+print_command "$cmd"
+upload_response=$(run_curl "$cmd")
+sleep 0.5
+delivery=$(grep '"path":"/ok"' test_files/deliveries.jsonl 2>/dev/null | head -n1)
+delivery_event=$(echo "$delivery" | jq -r '.headers["x-webhook-event"]' 2>/dev/null)
+if [ -n "$delivery" ] && [ "$delivery_event" = "uploaded" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Upload triggers a POST to the webhook receiver"
+else
+  echo -e "${RED}✗ FAIL${NC} - Upload triggers a POST to the webhook receiver ($delivery_event)"
+fi
+echo "$delivery" | jq . 2>/dev/null || echo "$delivery"
+echo "-----------------------------------"
+
+# Test: The signature is the HMAC of "<timestamp>.<body>" keyed with the secret returned at registration
+delivery_body=$(echo "$delivery" | jq -r '.body' 2>/dev/null)
+delivery_timestamp=$(echo "$delivery" | jq -r '.headers["x-webhook-timestamp"]' 2>/dev/null)
+delivery_signature=$(echo "$delivery" | jq -r '.headers["x-webhook-signature"]' 2>/dev/null)
+expected_signature="sha256=$(node -e "process.stdout.write(require('crypto').createHmac('sha256', process.argv[1]).update(process.argv[2]).digest('hex'))" "$ok_hook_secret" "$delivery_timestamp.$delivery_body")"
+if [ -n "$delivery_body" ] && [ "$delivery_signature" = "$expected_signature" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Delivery signature matches the webhook secret"
+else
+  echo -e "${RED}✗ FAIL${NC} - Delivery signature matches the webhook secret ($delivery_signature)"
+fi
+echo "-----------------------------------"
+
+# Test: The payload is the response the upload returned
+if [ -n "$delivery_body" ] && [ "$(echo "$delivery_body" | jq -S .)" = "$(echo "$upload_response" | jq -S .)" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Delivery payload is the action's response"
+else
+  echo -e "${RED}✗ FAIL${NC} - Delivery payload is the action's response"
+fi
+echo "$upload_response" | jq . 2>/dev/null || echo "$upload_response"
+echo "-----------------------------------"
+
+# Test: A failing receiver gets WEBHOOK_MAX_ATTEMPTS attempts of one delivery, the wait doubling each time
+sleep 3.5
+attempts=$(grep '"path":"/failing"' test_files/deliveries.jsonl 2>/dev/null | jq -s '{
+  count: length,
+  deliveries: ([.[].headers["x-webhook-delivery"]] | unique | length),
+  gaps: [range(1; length) as $i | .[$i].receivedAt - .[$i - 1].receivedAt]
+}' 2>/dev/null)
+backoff=$(echo "$attempts" | jq '.count == 3 and .deliveries == 1 and .gaps[0] >= 900 and .gaps[1] >= 1900' 2>/dev/null)
+if [ "$backoff" = "true" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Failing receiver is retried with exponential backoff"
+else
+  echo -e "${RED}✗ FAIL${NC} - Failing receiver is retried with exponential backoff"
+fi
+echo "$attempts" | jq -c . 2>/dev/null || echo "$attempts"
+echo "-----------------------------------"
+
+# Test: The delivery log records every attempt, newest first
+cmd="curl -s -X GET \"http://localhost:3001/webhooks/$failing_hook_id/deliveries\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+logged=$(echo "$response" | jq -c '[.deliveries[] | [.attempt, .outcome, .statusCode]]' 2>/dev/null)
+delivered=$(curl -s "http://localhost:3001/webhooks/$ok_hook_id/deliveries" -H "Authorization: Bearer $VALID_TOKEN" \
+  | jq -c '[.deliveries[] | [.attempt, .outcome, .statusCode]]' 2>/dev/null)
+if [ "$logged" = '[[3,"failed",500],[2,"retrying",500],[1,"retrying",500]]' ] && [ "$delivered" = '[[1,"delivered",200]]' ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Delivery log records each attempt and its outcome"
+else
+  echo -e "${RED}✗ FAIL${NC} - Delivery log records each attempt and its outcome ($logged $delivered)"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+curl -s -o /dev/null -X DELETE "http://localhost:3001/delete/webhook-test" -H "Authorization: Bearer $VALID_TOKEN"
+stop_api_server
+stop_http_server
+
+# 📊 Storage Usage Tests
+print_header "📊 Storage Usage Tests"
+
+# Test: Report usage of the whole store
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/usage\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Report storage usage" "$status_code" "$response_body" 200
+
+# Test: Folder usage counts the files stored in it
+cmd="curl -s -X GET \"$BASE_URL/usage/conflict-test\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+used_files=$(echo "$response" | jq -r '.usage.files' 2>/dev/null)
+if [ "$(echo "$response" | jq -r '.action' 2>/dev/null)" = "usage_reported" ] && [ "$used_files" -ge 2 ] 2>/dev/null; then
+  echo -e "${GREEN}✓ PASS${NC} - Folder usage counts the files stored in it"
+else
+  echo -e "${RED}✗ FAIL${NC} - Folder usage counts the files stored in it"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Invalid folder names are rejected
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/usage/bad%20folder\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject usage for invalid folder names" "$status_code" "$response_body" 400
+
+# The tests below run against a second API server where every quota-* folder may hold 100 bytes
+echo '{"quotas": [{"folders": ["quota-*"], "maxBytes": 100}]}' > test_files/quotas.json
+echo '{"tokens": [{"name": "quota-client", "token": "quota_client_token", "actions": ["list"], "folders": ["quota-trash"]}]}' > test_files/tokens.json
+start_api_server 3001 API_TOKEN="$VALID_TOKEN" QUOTAS_FILE="$PWD/test_files/quotas.json" QUOTA_MAX_BYTES=1000000 \
+  TOKENS_FILE="$PWD/test_files/tokens.json"
+sixty_bytes=$(head -c 60 /dev/zero | tr '\0' a | base64 | tr -d '\n')
+upload_sixty() {
+  curl -s -o /dev/null -w "%{http_code}" -X POST "http://localhost:3001/upload" \
+    -H "Authorization: Bearer $VALID_TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"folder\": \"$1\", \"filename\": \"$2\", \"base64\": \"$sixty_bytes\"}"
+}
+
+# Test: Deleted files keep counting against the quota while they are in the trash
+first=$(upload_sixty quota-trash first.txt)
+curl -s -o /dev/null -X DELETE "http://localhost:3001/delete/quota-trash/first.txt" -H "Authorization: Bearer $VALID_TOKEN"
+second=$(upload_sixty quota-trash second.txt)
+usage=$(curl -s "http://localhost:3001/usage/quota-trash" -H "Authorization: Bearer $VALID_TOKEN" | jq -c '.usage' 2>/dev/null)
+if [ "$first" = "200" ] && [ "$second" = "507" ] && [ "$usage" = '{"bytes":60,"files":0}' ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Trashed files count against the folder's quota"
+else
+  echo -e "${RED}✗ FAIL${NC} - Trashed files count against the folder's quota ($first $second $usage)"
+fi
+echo "-----------------------------------"
+
+# Test: Purging the trash frees the space; /usage measures afresh, so it is available at once
+curl -s -o /dev/null -X DELETE "http://localhost:3001/trash?folder=quota-trash" -H "Authorization: Bearer $VALID_TOKEN"
+curl -s -o /dev/null "http://localhost:3001/usage/quota-trash" -H "Authorization: Bearer $VALID_TOKEN"
+status_code=$(upload_sixty quota-trash second.txt)
+print_result "Upload fits once the trash is purged" "$status_code" "" 200
+
+# Test: A prior version keeps counting when a file is overwritten
+status_code=$(upload_sixty quota-trash second.txt)
+print_result "Overwrite that would keep a 60-byte version over the quota returns 507" "$status_code" "" 507
+
+# Test: Upload sessions reserve their size, so two cannot together exceed the quota
+create_session() {
+  curl -s -o /dev/null -w "%{http_code}" -X POST "http://localhost:3001/uploads" \
+    -H "Authorization: Bearer $VALID_TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"folder\": \"quota-sessions\", \"filename\": \"$1\", \"size\": 60}"
+}
+first=$(create_session first.bin)
+second=$(create_session second.bin)
+if [ "$first" = "201" ] && [ "$second" = "507" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Open upload sessions count against the folder's quota"
+else
+  echo -e "${RED}✗ FAIL${NC} - Open upload sessions count against the folder's quota ($first $second)"
+fi
+echo "-----------------------------------"
+
+# Test: Concurrent uploads into sibling folders under one quota cannot both pass the check
+race_pids=()
+for sibling in left right; do
+  upload_sixty "quota-race/$sibling" race.txt > "test_files/race-$sibling.status" &
+  race_pids+=($!)
+done
+wait "${race_pids[@]}"
+statuses=$(cat test_files/race-left.status test_files/race-right.status | fold -w3 | sort | tr '\n' ' ')
+if [ "$statuses" = "200 507 " ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Only one of two concurrent uploads fits the shared quota"
+else
+  echo -e "${RED}✗ FAIL${NC} - Only one of two concurrent uploads fits the shared quota ($statuses)"
+fi
+echo "-----------------------------------"
+
+# Test: A folder-scoped token cannot see usage of the whole store
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"http://localhost:3001/usage\" \\
+  -H \"Authorization: Bearer quota_client_token\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Store-wide usage with a folder-scoped token returns 403" "$status_code" "$response_body" 403
+
+# Test: Folder usage only lists the quotas of folders the token may list, not the store-wide one
+cmd="curl -s -X GET \"http://localhost:3001/usage/quota-trash\" \\
+  -H \"Authorization: Bearer quota_client_token\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+scoped_quotas=$(echo "$response" | jq -c '[.quotas[].folder]' 2>/dev/null)
+all_quotas=$(curl -s "http://localhost:3001/usage/quota-trash" -H "Authorization: Bearer $VALID_TOKEN" | jq -c '[.quotas[].folder]' 2>/dev/null)
+if [ "$scoped_quotas" = '["quota-trash"]' ] && [ "$all_quotas" = '[null,"quota-trash"]' ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Folder-scoped token does not see the store-wide quota"
+else
+  echo -e "${RED}✗ FAIL${NC} - Folder-scoped token does not see the store-wide quota ($scoped_quotas / $all_quotas)"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+for folder in quota-trash quota-race quota-sessions; do
+  curl -s -o /dev/null -X DELETE "http://localhost:3001/delete/$folder" -H "Authorization: Bearer $VALID_TOKEN"
+done
+stop_api_server
+
+# ⏳ Expiry Tests
+print_header "⏳ Expiry Tests"
+
+# Test: Expired public files return 410 until they are swept
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"expiry-test\", \"filename\": \"preview.txt\", \"base64\": \"VGVzdCBjb250ZW50\", \"expose\": true, \"expiresIn\": 1}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+sleep 2
+
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/expiry-test/preview.txt\""
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Expired public files return 410" "$status_code" "$response_body" 410
+
+# Test: Invalid expiresIn values are rejected
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"expiry-test\", \"filename\": \"bad.txt\", \"base64\": \"VGVzdCBjb250ZW50\", \"expiresIn\": -5}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject invalid expiresIn" "$status_code" "$response_body" 400
+
+# Test: Folder expiry dates must be in the future
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/mkdir\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"expiry-folder\", \"expiresAt\": \"2001-01-01T00:00:00Z\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject folder expiry in the past" "$status_code" "$response_body" 400
+
+# 🖼️ Image Transformation Tests
+print_header "🖼️ Image Transformation Tests"
+
+# Test: A public image is resized and converted on the fly
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"image-test\", \"filename\": \"blue.png\", \"base64\": \"iVBORw0KGgoAAAANSUhEUgAAAAgAAAAECAIAAAA8r+mnAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEElEQVR42mNgYPiPA1FNAgAanh/h6S0j9AAAAABJRU5ErkJggg==\", \"expose\": true}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+
+cmd="curl -s -o /dev/null -w \"%{http_code} %{content_type}\" \"$BASE_URL/public/image-test/blue.png?width=4&format=webp\""
+print_command "Then: $cmd"
+result=$(run_curl "$cmd")
+if [ "$result" = "200 image/webp" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Image is converted to WebP"
+else
+  echo -e "${RED}✗ FAIL${NC} - Image is converted to WebP (got $result)"
+fi
+echo "-----------------------------------"
+
+# Test: Out-of-range dimensions are rejected
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/image-test/blue.png?width=100000\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject out-of-range image width" "$status_code" "$response_body" 400
+
+# Test: Unknown output formats are rejected, including names inherited by every object
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/image-test/blue.png?format=constructor\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject unknown image format" "$status_code" "$response_body" 400
+
+# Test: Files that are not images cannot be transformed
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/test-upload/test.txt?width=100\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject transformations of non-images" "$status_code" "$response_body" 415
+
+# 📋 Copy and Move Tests
+print_header "📋 Copy and Move Tests"
+
+# Test: Copying a file into another folder keeps its visibility
+upload_cmd="curl -s -X POST \"$BASE_URL/upload\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"folder\": \"transfer-test\", \"filename\": \"doc.txt\", \"base64\": \"VGVzdCBjb250ZW50\", \"expose\": true}'"
+print_command "First: $upload_cmd"
+run_curl "$upload_cmd > /dev/null"
+
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/copy\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"type\": \"file\", \"folder\": \"transfer-test\", \"filename\": \"doc.txt\", \"toFolder\": \"transfer-copy\"}'"
+print_command "Then: $cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Copy a file to another folder" "$status_code" "$response_body" 200
+
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/transfer-copy/doc.txt\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Copied file is public at its new URL" "$status_code" "$response_body" 200
+
+# Test: Conflicts are refused in fail mode
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/copy\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"type\": \"file\", \"folder\": \"transfer-test\", \"filename\": \"doc.txt\", \"toFolder\": \"transfer-copy\", \"onConflict\": \"fail\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Refuse to copy over an existing file in fail mode" "$status_code" "$response_body" 409
+
+# Test: Moving a file into another folder and making it private
+cmd="curl -s -X POST \"$BASE_URL/move\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"type\": \"file\", \"folder\": \"transfer-test\", \"filename\": \"doc.txt\", \"toFolder\": \"transfer-moved\", \"expose\": false}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$(echo "$response" | jq -r '.action')" = "moved" ] && [ "$(echo "$response" | jq -r '.visibility')" = "hidden" ] && [ "$(echo "$response" | jq -r '.url')" = "null" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Move a file to another folder and hide it"
+else
+  echo -e "${RED}✗ FAIL${NC} - Move a file to another folder and hide it"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/transfer-test/doc.txt\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Moved file is gone from its old URL" "$status_code" "$response_body" 404
+
+# Test: A folder cannot be copied into itself
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/copy\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"type\": \"folder\", \"folder\": \"transfer-copy\", \"toFolder\": \"transfer-copy\"}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject copying a folder into itself" "$status_code" "$response_body" 400
+
+# 📦 Batch Tests
+print_header "📦 Batch Tests"
+
+# Test: Operations run in order and each returns its own response
+cmd="curl -s -X POST \"$BASE_URL/batch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"operations\": [{\"op\": \"mkdir\", \"folder\": \"batch-test\"}, {\"op\": \"upload\", \"folder\": \"batch-test\", \"filename\": \"a.txt\", \"base64\": \"VGVzdCBjb250ZW50\"}, {\"op\": \"rename\", \"type\": \"file\", \"folder\": \"batch-test\", \"filename\": \"a.txt\", \"newName\": \"b.txt\"}, {\"op\": \"expose\", \"path\": \"batch-test/b.txt\"}]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$(echo "$response" | jq -r '.succeeded')" = "4" ] && [ "$(echo "$response" | jq -r '.results[3].action')" = "file_exposed" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Batch runs every operation in order"
+else
+  echo -e "${RED}✗ FAIL${NC} - Batch runs every operation in order"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/public/batch-test/b.txt\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "File created by a batch is public" "$status_code" "$response_body" 200
+
+# Test: Stop mode skips what follows a failure
+cmd="curl -s -X POST \"$BASE_URL/batch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"operations\": [{\"op\": \"delete\", \"path\": \"batch-test/missing.txt\"}, {\"op\": \"delete\", \"path\": \"batch-test/b.txt\"}]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$(echo "$response" | jq -r '.results[0].statusCode')" = "404" ] && [ "$(echo "$response" | jq -r '.results[1].status')" = "skipped" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Stop mode skips operations after a failure"
+else
+  echo -e "${RED}✗ FAIL${NC} - Stop mode skips operations after a failure"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Continue mode runs everything
+cmd="curl -s -X POST \"$BASE_URL/batch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"onError\": \"continue\", \"operations\": [{\"op\": \"delete\", \"path\": \"batch-test/missing.txt\"}, {\"op\": \"delete\", \"path\": \"batch-test/b.txt\"}]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+if [ "$(echo "$response" | jq -r '.failed')" = "1" ] && [ "$(echo "$response" | jq -r '.results[1].action')" = "file_deleted" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Continue mode runs operations after a failure"
+else
+  echo -e "${RED}✗ FAIL${NC} - Continue mode runs operations after a failure"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Unknown operations are rejected before anything runs
+cmd="curl -s -w \"\n%{http_code}\" -X POST \"$BASE_URL/batch\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\" \\
+  -H \"Content-Type: application/json\" \\
+  -d '{\"operations\": [{\"op\": \"mkdir\", \"folder\": \"batch-never\"}, {\"op\": \"format-disk\"}]}'"
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Reject batches with unknown operations" "$status_code" "$response_body" 400
+
+# 📜 Audit Log Tests
+print_header "📜 Audit Log Tests"
+
+# Test: Audit log records the file unexposed above
+cmd="curl -s -X GET \"$BASE_URL/audit?folder=file-toggle&action=file_unexposed\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+audit_file=$(echo "$response" | jq -r '.entries[0].file' 2>/dev/null)
+audit_token=$(echo "$response" | jq -r '.entries[0].token' 2>/dev/null)
+if [ "$audit_file" = "make-public.txt" ] && [ "$audit_token" = "default" ]; then
+  echo -e "${GREEN}✓ PASS${NC} - Audit log records who unexposed a file"
+else
+  echo -e "${RED}✗ FAIL${NC} - Audit log records who unexposed a file"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+
+# Test: Invalid date filter returns 400
+cmd="curl -s -w \"\n%{http_code}\" -X GET \"$BASE_URL/audit?from=not-a-date\" \\
+  -H \"Authorization: Bearer $VALID_TOKEN\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+status_code=$(echo "$response" | tail -n1)
+response_body=$(echo "$response" | sed '$d')
+print_result "Invalid audit date filter returns 400" "$status_code" "$response_body" 400
+
+# Test: A folder-scoped token only sees entries for its folders, not entries without a folder
+echo '{"tokens": [{"name": "reports", "token": "reports_test_token", "actions": ["upload", "list"], "folders": ["reports/**"]}]}' > test_files/tokens.json
+start_api_server 3001 API_TOKEN="$VALID_TOKEN" TOKENS_FILE="$PWD/test_files/tokens.json"
+curl -s -o /dev/null -X POST "http://localhost:3001/webhooks" \
+  -H "Authorization: Bearer $VALID_TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"url": "https://example.com/hooks/audit"}'
+curl -s -o /dev/null -X POST "http://localhost:3001/upload" \
+  -H "Authorization: Bearer reports_test_token" \
+  -H "Content-Type: application/json" \
+  -d '{"folder": "reports/2026", "filename": "audited.txt", "base64": "VGVzdCBjb250ZW50"}'
+cmd="curl -s -X GET \"http://localhost:3001/audit\" \\
+  -H \"Authorization: Bearer reports_test_token\""
+print_command "$cmd"
+response=$(run_curl "$cmd")
+scoped_actions=$(echo "$response" | jq -r '[.entries[].action] | join(",")' 2>/dev/null)
+default_actions=$(curl -s "http://localhost:3001/audit" -H "Authorization: Bearer $VALID_TOKEN" | jq -r '[.entries[].action] | join(",")' 2>/dev/null)
+if [ "$scoped_actions" = "file_uploaded" ] && [[ "$default_actions" == *webhook_created* ]]; then
+  echo -e "${GREEN}✓ PASS${NC} - Folder-scoped token does not see audit entries without a folder"
+else
+  echo -e "${RED}✗ FAIL${NC} - Folder-scoped token does not see audit entries without a folder ($scoped_actions / $default_actions)"
+fi
+echo "$response" | jq . 2>/dev/null || echo "$response"
+echo "-----------------------------------"
+curl -s -o /dev/null -X DELETE "http://localhost:3001/delete/reports" -H "Authorization: Bearer $VALID_TOKEN"
+stop_api_server
+
 # 📈 JSON Response Consistency Tests
 print_header "📈 JSON Response Consistency Tests"
 